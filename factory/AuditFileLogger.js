@@ -0,0 +1,355 @@
+import BaseLogger from "./BaseLogger.js";
+import metrics from "./LogMetrics.js";
+import { safeStringify } from "./SafeJson.js";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * AuditFileLogger - tamper-evident audit log
+ * Concrete Product in the Factory pattern
+ *
+ * Every record is appended synchronously as a JSON line carrying `seq` (1, 2, 3, ...)
+ * and `prev`, the SHA-256 of the previous line (64 zeros for the first one), so
+ * editing, inserting or deleting a line breaks the chain at the next line:
+ *   {"seq":1,"type":"record","timestamp":...,"level":...,"logger":...,"message":...,"meta":{...},"prev":"000..."}
+ * Every `checkpointInterval` records, and on close(), a checkpoint line signs the chain
+ * with an HMAC-SHA256 of its seq, timestamp and prev under a local key:
+ *   {"seq":101,"type":"checkpoint","timestamp":...,"prev":"...","hmac":"..."}
+ * Rewriting the whole chain after an edit is therefore detectable without the key.
+ * Removing entries from the end is not: a file cut back to any checkpoint, not only the
+ * last one, still verifies. verify() reports the last checkpoint's seq, so compare it with
+ * a value recorded elsewhere to detect that.
+ *
+ * The key must be given (options.key or options.keyFile) and kept away from the log.
+ * An existing file is continued where it ends; a last line torn by a crash is removed
+ * and the removal is recorded in the chain. Only one process should write a file.
+ * Use verify() or `npm run audit:verify -- <file>` to check a file.
+ */
+class AuditFileLogger extends BaseLogger {
+    /**
+     * prev of the first line
+     */
+    static GENESIS_HASH = "0".repeat(64);
+
+    /**
+     * Line types
+     */
+    static EntryTypes = {
+        RECORD: "record",
+        CHECKPOINT: "checkpoint"
+    };
+
+    /**
+     * @param {string} filename - The audit log file name or path (relative to the factory directory)
+     * @param {Object} options - Logger options
+     * @param {string} options.key - HMAC key for checkpoints
+     * @param {string} options.keyFile - File holding the HMAC key, created with a random key if missing (used if key is not given)
+     * @param {number} options.checkpointInterval - Records between checkpoints (default 100)
+     */
+    constructor(filename = "audit.log", options = {}) {
+        super("AuditFileLogger", options);
+        this.logFile = path.resolve(__dirname, filename);
+        this.key = AuditFileLogger.loadKey(options, true);
+        if (!this.key) {
+            throw new Error("AuditFileLogger requires options.key or options.keyFile (stored away from the audit log)");
+        }
+        this.checkpointInterval = options.checkpointInterval || 100;
+        this.recordsSinceCheckpoint = 0;
+
+        const last = AuditFileLogger.readLastEntry(this.logFile);
+        this.seq = last ? last.entry.seq : 0;
+        this.lastHash = last ? AuditFileLogger.hash(last.line) : AuditFileLogger.GENESIS_HASH;
+        if (last && last.entry.type !== AuditFileLogger.EntryTypes.CHECKPOINT) {
+            this.recordsSinceCheckpoint = 1; // Sign the unsigned tail at the next checkpoint
+        }
+        if (last && last.tornBytes > 0) {
+            this.writeRecord({
+                timestamp: new Date(),
+                level: "WARN",
+                logger: this.name,
+                message: `Removed an incomplete last line (${last.tornBytes} bytes) left by an interrupted write`,
+                meta: { tornBytes: last.tornBytes }
+            });
+        }
+    }
+
+    /**
+     * SHA-256 of a line
+     * @param {string} line - The line, without its newline
+     * @returns {string} Hex digest
+     */
+    static hash(line) {
+        return crypto.createHash("sha256").update(line).digest("hex");
+    }
+
+    /**
+     * HMAC of a checkpoint
+     * @param {Buffer|string} key - The HMAC key
+     * @param {Object} checkpoint - { seq, timestamp, prev }
+     * @returns {string} Hex digest
+     */
+    static sign(key, checkpoint) {
+        return crypto.createHmac("sha256", key)
+            .update(`${checkpoint.seq}:${checkpoint.timestamp}:${checkpoint.prev}`)
+            .digest("hex");
+    }
+
+    /**
+     * Get the HMAC key from the options or the key file
+     * @param {Object} options - { key, keyFile }
+     * @param {boolean} create - Create the key file with a random key if it is missing
+     * @returns {Buffer|null} The key, or null if neither option is given (a missing key file throws unless create is true)
+     */
+    static loadKey(options = {}, create = false) {
+        if (options.key) {
+            return Buffer.from(options.key);
+        }
+        if (!options.keyFile) {
+            return null;
+        }
+
+        const keyFile = path.resolve(__dirname, options.keyFile);
+        if (!fs.existsSync(keyFile)) {
+            if (!create) {
+                throw new Error(`Key file not found: ${keyFile}`);
+            }
+            fs.writeFileSync(keyFile, `${crypto.randomBytes(32).toString("hex")}\n`, { mode: 0o600 });
+        }
+        return Buffer.from(fs.readFileSync(keyFile, "utf8").trim());
+    }
+
+    /**
+     * Parse an audit log line
+     * @param {string} line - The line, without its newline
+     * @returns {Object|null} The entry, or null if the line is not an audit entry
+     */
+    static parseEntry(line) {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            return null;
+        }
+        return entry && Number.isInteger(entry.seq) ? entry : null;
+    }
+
+    /**
+     * Read the line ending at a byte offset
+     * @param {number} fd - Open audit log
+     * @param {number} end - Offset just past the line (excluding its newline)
+     * @returns {Object} { start, line }
+     */
+    static readLineBefore(fd, end) {
+        for (let length = 4096; ; length *= 2) {
+            const from = Math.max(0, end - length);
+            const buffer = Buffer.alloc(end - from);
+            fs.readSync(fd, buffer, 0, buffer.length, from);
+            const newline = buffer.lastIndexOf(0x0a);
+            if (newline !== -1 || from === 0) {
+                return { start: from + newline + 1, line: buffer.subarray(newline + 1).toString("utf8") };
+            }
+        }
+    }
+
+    /**
+     * Read the last entry of an audit log without reading the whole file
+     * A last line without its newline was torn by an interrupted write: it is completed
+     * if it holds a whole entry, and cut off otherwise.
+     * @param {string} file - Path of the audit log
+     * @returns {Object|null} { line, entry, tornBytes }, or null for a missing or empty file
+     */
+    static readLastEntry(file) {
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+
+        const fd = fs.openSync(file, "r+");
+        try {
+            let end = fs.fstatSync(fd).size;
+            let tornBytes = 0;
+            const lastByte = Buffer.alloc(1);
+            if (end > 0 && fs.readSync(fd, lastByte, 0, 1, end - 1) === 1 && lastByte[0] !== 0x0a) {
+                const { start, line } = AuditFileLogger.readLineBefore(fd, end);
+                const entry = AuditFileLogger.parseEntry(line);
+                if (entry) {
+                    fs.writeSync(fd, "\n", end);
+                    return { line, entry, tornBytes };
+                }
+                console.error(`Removing an incomplete last line from audit log ${file} (${end - start} bytes)`);
+                fs.ftruncateSync(fd, start);
+                tornBytes = end - start;
+                end = start;
+            }
+            if (end === 0) {
+                return null;
+            }
+
+            const { line } = AuditFileLogger.readLineBefore(fd, end - 1);
+            const entry = AuditFileLogger.parseEntry(line);
+            if (!entry) {
+                throw new Error(`Cannot continue audit log ${file}: the last line is not an audit entry`);
+            }
+            return { line, entry, tornBytes };
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Append an entry to the chain
+     * @param {Object} entry - The entry, without seq and prev
+     * @returns {boolean} True if the entry was written
+     */
+    append(entry) {
+        const line = safeStringify({ seq: this.seq + 1, ...entry, prev: this.lastHash });
+        try {
+            fs.appendFileSync(this.logFile, `${line}\n`);
+        } catch (error) {
+            console.error(`Failed to write to audit log: ${error.message}`);
+            metrics.recordWriteFailure(this.name);
+            return false;
+        }
+        metrics.recordBytesWritten(this.logFile, Buffer.byteLength(line) + 1);
+        this.seq++;
+        this.lastHash = AuditFileLogger.hash(line);
+        return true;
+    }
+
+    writeRecord(record) {
+        const written = this.append({
+            type: AuditFileLogger.EntryTypes.RECORD,
+            timestamp: record.timestamp.toISOString(),
+            level: record.level,
+            logger: record.logger,
+            message: record.message,
+            meta: record.meta
+        });
+        if (written && ++this.recordsSinceCheckpoint >= this.checkpointInterval) {
+            this.checkpoint();
+        }
+    }
+
+    /**
+     * Write a signed checkpoint if records were written since the last one
+     */
+    checkpoint() {
+        if (this.recordsSinceCheckpoint === 0) {
+            return;
+        }
+        const checkpoint = { seq: this.seq + 1, timestamp: new Date().toISOString(), prev: this.lastHash };
+        if (this.append({
+            type: AuditFileLogger.EntryTypes.CHECKPOINT,
+            timestamp: checkpoint.timestamp,
+            hmac: AuditFileLogger.sign(this.key, checkpoint)
+        })) {
+            this.recordsSinceCheckpoint = 0;
+        }
+    }
+
+    /**
+     * Sign the records written so far (used on process exit)
+     */
+    flushSync() {
+        this.checkpoint();
+    }
+
+    /**
+     * Sign the records written so far
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.checkpoint();
+    }
+
+    /**
+     * Verify this logger's file
+     * @returns {Object} See AuditFileLogger.verify()
+     */
+    verify() {
+        return AuditFileLogger.verify(this.logFile, { key: this.key });
+    }
+
+    /**
+     * Verify an audit log: sequence numbers, hash links and checkpoint signatures
+     * Without a key only the hash chain is checked (signaturesChecked is false), which
+     * does not detect a rewritten chain.
+     * @param {string} file - Path of the audit log
+     * @param {Object} options - { key, keyFile }
+     * @returns {Object} { valid, entries, records, checkpoints, lastCheckpoint, signaturesChecked, unsignedRecords, brokenAt }
+     *   lastCheckpoint is the seq of the last checkpoint (or null); brokenAt is null, or { line, seq, reason } for the first broken link
+     */
+    static verify(file, options = {}) {
+        const logFile = path.resolve(file);
+        const key = AuditFileLogger.loadKey(options, false);
+        const result = {
+            valid: true,
+            entries: 0,
+            records: 0,
+            checkpoints: 0,
+            lastCheckpoint: null,
+            signaturesChecked: key !== null,
+            unsignedRecords: 0,
+            brokenAt: null
+        };
+        const broken = (line, seq, reason) => {
+            result.valid = false;
+            result.brokenAt = { line, seq, reason };
+            return result;
+        };
+
+        const lines = fs.readFileSync(logFile, "utf8").split("\n");
+        const terminated = lines[lines.length - 1] === "";
+        if (terminated) {
+            lines.pop();
+        }
+
+        let prev = AuditFileLogger.GENESIS_HASH;
+        for (let index = 0; index < lines.length; index++) {
+            const lineNumber = index + 1;
+            const expectedSeq = result.entries + 1;
+            let entry;
+            try {
+                entry = JSON.parse(lines[index]);
+            } catch {
+                return broken(lineNumber, expectedSeq, !terminated && lineNumber === lines.length
+                    ? "last line is incomplete (a write was interrupted)"
+                    : "line is not valid JSON");
+            }
+            if (!entry || entry.seq !== expectedSeq) {
+                return broken(lineNumber, expectedSeq, `expected seq ${expectedSeq}, found ${entry && entry.seq}`);
+            }
+            if (entry.prev !== prev) {
+                return broken(lineNumber, entry.seq, index === 0
+                    ? "prev of the first entry is not the genesis hash (entries were removed from the start)"
+                    : `prev does not match the hash of line ${lineNumber - 1} (that line was edited, or an entry was replaced)`);
+            }
+
+            if (entry.type === AuditFileLogger.EntryTypes.CHECKPOINT) {
+                if (key && entry.hmac !== AuditFileLogger.sign(key, entry)) {
+                    return broken(lineNumber, entry.seq, "checkpoint signature is invalid");
+                }
+                result.checkpoints++;
+                result.lastCheckpoint = entry.seq;
+                result.unsignedRecords = 0;
+            } else if (entry.type === AuditFileLogger.EntryTypes.RECORD) {
+                result.records++;
+                result.unsignedRecords++;
+            } else {
+                return broken(lineNumber, entry.seq, `unknown entry type: ${entry.type}`);
+            }
+
+            result.entries++;
+            prev = AuditFileLogger.hash(lines[index]);
+        }
+
+        return result;
+    }
+}
+
+export default AuditFileLogger;
@@ -1,43 +1,230 @@
+import FormatterFactory from "./FormatterFactory.js";
+import Redactor from "./Redactor.js";
+import { isError, serializeErrors } from "./ErrorSerializer.js";
+import { getContext } from "./LogContext.js";
+import { resolveMessage } from "./MessageFormat.js";
+import LogWritable from "./LogWritable.js";
+import metrics from "./LogMetrics.js";
+import { LogLevels, normalizeLevel, isLevelAtLeast, onLevelDefined } from "./LogLevels.js";
+
 /**
  * Base Logger class - defines the interface for all loggers
  * This is the Product interface in the Factory pattern
+ *
+ * The level methods (trace, debug, info, warn, audit, error, fatal and log as an
+ * alias of info) are generated from LogLevels, including levels added later with
+ * defineLevel(). They build a record and pass it through handleRecord(), which
+ * applies the logger's threshold and redaction rules before handing the record
+ * to writeRecord(). Concrete loggers implement writeRecord().
+ *
+ * Every level method accepts an optional metadata object whose fields are
+ * stored on the record as `meta` (any other value is stored as `meta.value`,
+ * e.g. logger.info("Done", 42)), and child() returns a logger that stamps
+ * a fixed set of fields on every record. Fields from the async context
+ * (see LogContext) are added too; bindings and metadata take precedence.
+ *
+ * Errors can be logged directly (logger.error(err)) or as metadata
+ * (logger.error("Payment failed", { err })); they are serialized with
+ * their stack, cause chain and custom fields into `meta.err`.
+ *
+ * Messages can be thunks (logger.debug(() => dump(state))) or printf-style
+ * templates (logger.debug("Cache %s: %d entries", name, size)); both are only
+ * evaluated when the level is enabled (see MessageFormat).
  */
 class BaseLogger {
-    constructor(name = "BaseLogger") {
+    /**
+     * True for loggers that pass records on to other loggers instead of writing them,
+     * so log_records_total counts each record once, where it is written
+     */
+    static forwardsRecords = false;
+
+    /**
+     * @param {string} name - The logger name
+     * @param {Object} options - Logger options
+     * @param {string|Object|LogFormatter} options.format - Output format (text, json, logfmt or a pattern)
+     * @param {string} options.level - Minimum level written by this logger (default DEBUG)
+     * @param {Object|boolean} options.redact - Redaction rules (see Redactor), or true for the defaults
+     */
+    constructor(name = "BaseLogger", options = {}) {
         this.name = name;
         this.createdAt = new Date();
+        this.formatter = FormatterFactory.createFormatter(options.format);
+        this.level = normalizeLevel(options.level || LogLevels.DEBUG);
+        this.bindings = {};
+        this.redactor = options.redact ? new Redactor(options.redact) : null;
+    }
+
+    /**
+     * Log an info message (alias of info())
+     * @param {string|Function} message - The message to log, a template or a thunk
+     * @param {...*} args - Optional structured fields, or template arguments followed by optional fields
+     */
+    log(message, ...args) {
+        this.logAt(LogLevels.INFO, message, ...args);
+    }
+
+    /**
+     * Log a message at the given level
+     * Thunks and templates are resolved only if the level is enabled
+     * @param {string} level - The log level
+     * @param {string|Error|Function} message - The message to log, an error, a template or a thunk
+     * @param {...*} args - Optional structured fields, or template arguments followed by optional fields
+     */
+    logAt(level, message, ...args) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+        if (isLevelAtLeast(level, LogLevels.ERROR)) {
+            metrics.recordError();
+        }
+        const resolved = resolveMessage(message, args);
+        this.handleRecord(this.createRecord(normalizeLevel(level), resolved.message, resolved.meta));
+    }
+
+    /**
+     * Apply the threshold and redaction to a record and write it if it passes
+     * Written records are counted in the log_records_total metric, except by loggers
+     * that forward them (see forwardsRecords)
+     * @param {Object} record - The log record
+     */
+    handleRecord(record) {
+        if (!this.isLevelEnabled(record.level)) {
+            return;
+        }
+        this.writeRecord(this.redactor ? this.redactor.redactRecord(record) : record);
+        if (!this.constructor.forwardsRecords) {
+            metrics.recordWritten(this.name, record.level);
+        }
+    }
+
+    /**
+     * Write a record to the logger's destination
+     * @param {Object} record - The log record
+     */
+    writeRecord(record) {
+        throw new Error("Method 'writeRecord()' must be implemented");
+    }
+
+    /**
+     * Wait until records written so far have reached the destination
+     * Loggers that buffer writes override this
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Flush and release the logger's resources (files, sockets, ...)
+     * @returns {Promise<void>}
+     */
+    close() {
+        return this.flush();
+    }
+
+    /**
+     * Get the loggers this logger writes through (composite children, decorator targets, ...)
+     * Used to flush and close loggers in dependency order on shutdown
+     * @returns {Array<BaseLogger>} The loggers (none by default)
+     */
+    getDependencies() {
+        return [];
+    }
+
+    /**
+     * Set the minimum level written by this logger
+     * @param {string} level - The new threshold (DEBUG, INFO, WARN, ERROR)
+     */
+    setLevel(level) {
+        this.level = normalizeLevel(level);
+    }
+
+    /**
+     * Get the minimum level written by this logger
+     * @returns {string} The current threshold
+     */
+    getLevel() {
+        return this.level;
+    }
+
+    /**
+     * Check whether a level would be written by this logger
+     * @param {string} level - The log level
+     * @returns {boolean} True if the level is at or above the threshold
+     */
+    isLevelEnabled(level) {
+        return isLevelAtLeast(level, this.level);
     }
 
     /**
-     * Log an info message
-     * @param {string} message - The message to log
+     * Create a Writable stream that logs every line written to it
+     * e.g. child.stdout.pipe(logger.stream("info"))
+     * @param {string} level - Level of the records (default INFO)
+     * @param {Object} options - Stream options (meta, skipEmpty, maxLineLength; see LogWritable)
+     * @returns {LogWritable} The stream
      */
-    log(message) {
-        throw new Error("Method 'log()' must be implemented");
+    stream(level = LogLevels.INFO, options = {}) {
+        return new LogWritable(this, level, options);
     }
 
     /**
-     * Log a warning message
-     * @param {string} message - The warning message to log
+     * Create a child logger that adds the given fields to every record
+     * @param {Object} bindings - Fields stamped on every record (e.g. { requestId })
+     * @returns {ChildLogger} The child logger
      */
-    warn(message) {
-        throw new Error("Method 'warn()' must be implemented");
+    child(bindings = {}) {
+        return new ChildLogger(this, bindings);
     }
 
     /**
-     * Log an error message
-     * @param {string} message - The error message to log
+     * Turn the metadata argument of a logging call into record fields
+     * Plain objects are used as they are; strings, numbers, arrays, class instances and
+     * other values are kept whole as `value` instead of being spread or dropped
+     * @param {*} meta - The metadata argument
+     * @returns {Object} The fields
      */
-    error(message) {
-        throw new Error("Method 'error()' must be implemented");
+    static toFields(meta) {
+        if (meta === undefined || meta === null) {
+            return {};
+        }
+        const prototype = typeof meta === "object" ? Object.getPrototypeOf(meta) : undefined;
+        return prototype === Object.prototype || prototype === null ? meta : { value: meta };
     }
 
     /**
-     * Log a debug message
-     * @param {string} message - The debug message to log
+     * Build a log record for a message
+     * An Error passed as the message is moved to `meta.err`, and its message is used instead
+     * @param {string} level - The log level
+     * @param {string|Error} message - The message or an error
+     * @param {Object|Error|*} meta - Structured fields for the record (see toFields())
+     * @returns {Object} The log record
      */
-    debug(message) {
-        throw new Error("Method 'debug()' must be implemented");
+    createRecord(level, message, meta = {}) {
+        const context = getContext();
+        const fields = isError(meta)
+            ? { ...context, ...this.bindings, err: meta }
+            : { ...context, ...this.bindings, ...BaseLogger.toFields(meta) };
+        if (isError(message)) {
+            fields.err = fields.err || message;
+            message = message.message;
+        }
+
+        return {
+            timestamp: new Date(),
+            level: level,
+            logger: this.name,
+            message: message,
+            meta: serializeErrors(fields)
+        };
+    }
+
+    /**
+     * Format a log record with this logger's formatter
+     * @param {Object} record - The log record
+     * @returns {string} Formatted record
+     */
+    formatRecord(record) {
+        return this.formatter.format(record);
     }
 
     /**
@@ -47,10 +234,87 @@ class BaseLogger {
      * @returns {string} Formatted message
      */
     formatMessage(level, message) {
-        const timestamp = new Date().toISOString();
-        return `[${timestamp}] [${level}] [${this.name}] ${message}`;
+        return this.formatRecord(this.createRecord(level, message));
+    }
+
+    /**
+     * Replace the formatter used by this logger
+     * @param {string|Object|LogFormatter} format - The format option
+     */
+    setFormat(format) {
+        this.formatter = FormatterFactory.createFormatter(format);
     }
 }
 
-export default BaseLogger;
+/**
+ * Generate a method for each level: logger.trace(message, meta), logger.audit(message, meta), ...
+ * A level whose name clashes with another logger method (e.g. "CHILD") is rejected
+ */
+onLevelDefined(level => {
+    const method = level.toLowerCase();
+    const existing = BaseLogger.prototype[method];
+    if (existing && !existing.isLevelMethod) {
+        throw new Error(`Log level ${level} clashes with the logger method ${method}()`);
+    }
+
+    const logAtLevel = function (message, ...args) {
+        this.logAt(level, message, ...args);
+    };
+    logAtLevel.isLevelMethod = true;
+    BaseLogger.prototype[method] = logAtLevel;
+});
+
+/**
+ * ChildLogger - a logger bound to a parent and a set of fields
+ * Records are stamped with the bindings and written by the parent,
+ * so the child shares the parent's destination, format and threshold.
+ */
+export class ChildLogger extends BaseLogger {
+    /**
+     * @param {BaseLogger} parent - The logger that writes the records
+     * @param {Object} bindings - Fields stamped on every record
+     */
+    constructor(parent, bindings = {}) {
+        super(parent.name);
+        this.parent = parent;
+        this.bindings = { ...parent.bindings, ...bindings };
+    }
+
+    /**
+     * A child writes a level only when both its own threshold and the parent's allow it
+     * @param {string} level - The log level
+     * @returns {boolean} True if the level would be written
+     */
+    isLevelEnabled(level) {
+        return super.isLevelEnabled(level) && this.parent.isLevelEnabled(level);
+    }
+
+    handleRecord(record) {
+        if (!super.isLevelEnabled(record.level)) {
+            return;
+        }
+        this.parent.handleRecord(record);
+    }
+
+    formatRecord(record) {
+        return this.parent.formatRecord(record);
+    }
+
+    getDependencies() {
+        return [this.parent];
+    }
 
+    flush() {
+        return this.parent.flush();
+    }
+
+    /**
+     * Closing a child only flushes: the parent owns the destination
+     * @returns {Promise<void>}
+     */
+    close() {
+        return this.parent.flush();
+    }
+}
+
+export default BaseLogger;
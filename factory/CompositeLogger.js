@@ -1,13 +1,62 @@
 import BaseLogger from "./BaseLogger.js";
+import metrics from "./LogMetrics.js";
 
 /**
  * CompositeLogger - logs messages to multiple loggers simultaneously
  * Implements the Composite pattern along with Factory pattern
+ *
+ * Each child applies its own level threshold, so a composite can route
+ * DEBUG+ to the console, INFO+ to a file and only ERROR to a database.
+ *
+ * Children are isolated from each other: an exception thrown by one child
+ * never stops the others or reaches the caller. The error policy decides
+ * what happens next, and records a failing (or disabled) child dropped are
+ * passed to the fallback logger when one is configured.
  */
 class CompositeLogger extends BaseLogger {
-    constructor(loggers = []) {
-        super("CompositeLogger");
+    /**
+     * Records are counted by the children that write them
+     */
+    static forwardsRecords = true;
+
+    /**
+     * Error policies enum
+     */
+    static ErrorPolicies = {
+        IGNORE: "ignore", // Swallow child errors silently
+        WARN: "warn", // Report each child error on stderr
+        DISABLE: "disable" // Report errors and disable a child after maxFailures consecutive failures
+    };
+
+    /**
+     * @param {Array<BaseLogger>} loggers - The child loggers
+     * @param {Object} options - Logger options
+     * @param {string} options.errorPolicy - "ignore", "warn" (default) or "disable"
+     * @param {number} options.maxFailures - Consecutive failures before a child is disabled (default 3)
+     * @param {BaseLogger} options.fallback - Logger that receives records a failing child dropped
+     */
+    constructor(loggers = [], options = {}) {
+        super("CompositeLogger", options);
         this.loggers = loggers;
+        this.errorPolicy = String(options.errorPolicy || CompositeLogger.ErrorPolicies.WARN).toLowerCase();
+        if (!Object.values(CompositeLogger.ErrorPolicies).includes(this.errorPolicy)) {
+            throw new Error(`Unknown error policy: ${options.errorPolicy}. Available policies: ${Object.values(CompositeLogger.ErrorPolicies).join(", ")}`);
+        }
+        this.maxFailures = options.maxFailures || 3;
+        this.fallback = options.fallback || null;
+        this.health = new Map(); // Map<BaseLogger, { failures, consecutiveFailures, disabled, lastError, lastFailureAt }>
+    }
+
+    /**
+     * Get (or create) the health entry of a child
+     * @param {BaseLogger} logger - The child logger
+     * @returns {Object} The health entry
+     */
+    getHealthEntry(logger) {
+        if (!this.health.has(logger)) {
+            this.health.set(logger, { failures: 0, consecutiveFailures: 0, disabled: false, lastError: null, lastFailureAt: null });
+        }
+        return this.health.get(logger);
     }
 
     /**
@@ -30,23 +79,169 @@ class CompositeLogger extends BaseLogger {
         const index = this.loggers.indexOf(logger);
         if (index > -1) {
             this.loggers.splice(index, 1);
+            this.health.delete(logger);
+        }
+    }
+
+    /**
+     * A level is enabled when the composite's own threshold allows it
+     * and at least one child would write it
+     * @param {string} level - The log level
+     * @returns {boolean} True if some child would write the level
+     */
+    isLevelEnabled(level) {
+        return super.isLevelEnabled(level) && this.loggers.some(logger => logger.isLevelEnabled(level));
+    }
+
+    writeRecord(record) {
+        let dropped = false;
+
+        for (const logger of this.loggers) {
+            const entry = this.getHealthEntry(logger);
+            if (entry.disabled) {
+                dropped = dropped || logger.isLevelEnabled(record.level);
+                continue;
+            }
+
+            try {
+                logger.handleRecord({ ...record, logger: logger.name });
+                entry.consecutiveFailures = 0;
+            } catch (error) {
+                this.recordFailure(logger, error);
+                dropped = true;
+            }
+        }
+
+        if (dropped && this.fallback) {
+            try {
+                this.fallback.handleRecord({ ...record, logger: this.fallback.name });
+            } catch (error) {
+                this.report(`Fallback logger ${this.fallback.name} failed: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Apply the error policy to a child failure
+     * @param {BaseLogger} logger - The failing child
+     * @param {Error} error - The error it threw
+     */
+    recordFailure(logger, error) {
+        const entry = this.getHealthEntry(logger);
+        entry.failures++;
+        entry.consecutiveFailures++;
+        entry.lastError = error;
+        entry.lastFailureAt = new Date();
+        metrics.recordWriteFailure(logger.name);
+
+        this.report(`Logger ${logger.name} failed: ${error.message}`);
+
+        if (this.errorPolicy === CompositeLogger.ErrorPolicies.DISABLE && !entry.disabled && entry.consecutiveFailures >= this.maxFailures) {
+            entry.disabled = true;
+            this.report(`Logger ${logger.name} disabled after ${entry.consecutiveFailures} consecutive failures`);
         }
     }
 
-    log(message) {
-        this.loggers.forEach(logger => logger.log(message));
+    /**
+     * Report a problem on stderr unless the policy is "ignore"
+     * @param {string} message - The problem
+     */
+    report(message) {
+        if (this.errorPolicy !== CompositeLogger.ErrorPolicies.IGNORE) {
+            process.stderr.write(`[CompositeLogger] ${message}\n`);
+        }
     }
 
-    warn(message) {
-        this.loggers.forEach(logger => logger.warn(message));
+    /**
+     * Run an async operation on every child, isolating failures
+     * @param {string} operation - "flush" or "close"
+     * @returns {Promise<void>}
+     */
+    async forEachChild(operation) {
+        const targets = this.fallback ? [...this.loggers, this.fallback] : this.loggers;
+        const results = await Promise.allSettled(targets.map(logger => {
+            try {
+                return logger[operation]();
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }));
+
+        results.forEach((result, index) => {
+            if (result.status === "rejected") {
+                const logger = targets[index];
+                if (logger === this.fallback) {
+                    this.report(`Fallback logger ${logger.name} failed to ${operation}: ${result.reason.message}`);
+                } else {
+                    this.recordFailure(logger, result.reason);
+                }
+            }
+        });
     }
 
-    error(message) {
-        this.loggers.forEach(logger => logger.error(message));
+    getDependencies() {
+        return this.fallback ? [...this.loggers, this.fallback] : [...this.loggers];
     }
 
-    debug(message) {
-        this.loggers.forEach(logger => logger.debug(message));
+    /**
+     * Flush every child logger (and the fallback)
+     * @returns {Promise<void>} Resolves once all children are flushed, even if some fail
+     */
+    flush() {
+        return this.forEachChild("flush");
+    }
+
+    /**
+     * Close every child logger (and the fallback)
+     * @returns {Promise<void>} Resolves once all children are closed, even if some fail
+     */
+    close() {
+        return this.forEachChild("close");
+    }
+
+    /**
+     * Get the health of every child logger
+     * @returns {Array<Object>} { name, healthy, disabled, failures, consecutiveFailures, lastError, lastFailureAt } per child
+     */
+    getHealth() {
+        return this.loggers.map(logger => {
+            const entry = this.getHealthEntry(logger);
+            return {
+                name: logger.name,
+                healthy: !entry.disabled && entry.consecutiveFailures === 0,
+                disabled: entry.disabled,
+                failures: entry.failures,
+                consecutiveFailures: entry.consecutiveFailures,
+                lastError: entry.lastError ? entry.lastError.message : null,
+                lastFailureAt: entry.lastFailureAt
+            };
+        });
+    }
+
+    /**
+     * Re-enable a child that was disabled by the "disable" policy
+     * @param {BaseLogger} logger - The child logger
+     */
+    enableLogger(logger) {
+        const entry = this.getHealthEntry(logger);
+        entry.disabled = false;
+        entry.consecutiveFailures = 0;
+    }
+
+    /**
+     * Change the threshold of a child logger at runtime
+     * @param {BaseLogger|string} logger - The child logger or its name (e.g. "FileLogger")
+     * @param {string} level - The new threshold
+     */
+    setLoggerLevel(logger, level) {
+        const targets = typeof logger === "string"
+            ? this.loggers.filter(child => child.name === logger)
+            : this.loggers.filter(child => child === logger);
+
+        if (targets.length === 0) {
+            throw new Error(`Logger not found in composite: ${typeof logger === "string" ? logger : logger.name}`);
+        }
+        targets.forEach(child => child.setLevel(level));
     }
 
     /**
@@ -1,34 +1,191 @@
+import util from "util";
 import BaseLogger from "./BaseLogger.js";
+import TextFormatter from "./TextFormatter.js";
+import { formatError } from "./ErrorSerializer.js";
+import { LogLevels, isLevelAtLeast } from "./LogLevels.js";
 
 /**
  * ConsoleLogger - logs messages to the console
  * Concrete Product in the Factory pattern
+ *
+ * Colors are used only when the output stream is a TTY, unless the FORCE_COLOR or
+ * NO_COLOR environment variables (or the `colors` option) say otherwise.
+ * With the default text format, object messages and metadata are pretty-printed
+ * through util.inspect and errors are printed with their stack and cause chain;
+ * `compact` keeps every record on a single line for container log collectors.
+ * Other formats (json, logfmt, patterns) are written as the formatter produces them.
  */
 class ConsoleLogger extends BaseLogger {
-    constructor() {
-        super("ConsoleLogger");
+    /**
+     * Stream used for each level when no `stream` option is given
+     */
+    static LevelStreams = {
+        TRACE: "stdout",
+        DEBUG: "stdout",
+        INFO: "stdout",
+        WARN: "stderr",
+        AUDIT: "stdout",
+        ERROR: "stderr",
+        FATAL: "stderr"
+    };
+
+    /**
+     * Color themes: level -> util.inspect style name(s)
+     * See util.inspect.colors for the available styles; custom levels can be
+     * styled by passing a theme object, e.g. { NOTICE: "green" }
+     */
+    static Themes = {
+        default: {
+            TRACE: "dim", DEBUG: "gray", INFO: "cyan", WARN: "yellow",
+            AUDIT: "magenta", ERROR: "red", FATAL: ["bgRed", "white", "bold"]
+        },
+        bright: {
+            TRACE: "gray", DEBUG: "white", INFO: ["cyanBright", "bold"], WARN: ["yellowBright", "bold"],
+            AUDIT: ["magentaBright", "bold"], ERROR: ["redBright", "bold"], FATAL: ["bgRedBright", "whiteBright", "bold"]
+        },
+        monochrome: {
+            TRACE: "dim", DEBUG: "dim", INFO: "reset", WARN: "bold",
+            AUDIT: "italic", ERROR: ["bold", "underline"], FATAL: ["inverse", "bold"]
+        }
+    };
+
+    /**
+     * @param {Object} options - Logger options
+     * @param {boolean} options.colors - Force colors on or off (default: detect from the stream and environment)
+     * @param {string|Object} options.theme - Theme name or { LEVEL: style } object (default "default")
+     * @param {number} options.depth - How deep util.inspect prints nested objects (default 4)
+     * @param {boolean} options.compact - Print every record on a single line
+     * @param {Object} options.stream - Writable stream for every level (default stdout, with WARN, ERROR and FATAL on stderr)
+     */
+    constructor(options = {}) {
+        super("ConsoleLogger", options);
+        this.colors = options.colors;
+        this.theme = ConsoleLogger.resolveTheme(options.theme);
+        this.depth = options.depth === undefined ? 4 : options.depth;
+        this.compact = Boolean(options.compact);
+        this.outputStream = options.stream || null;
+    }
+
+    /**
+     * Resolve a theme option to { LEVEL: [open, close] } escape sequences
+     * @param {string|Object} theme - Theme name or { LEVEL: style } object
+     * @returns {Object} Escape sequences per level
+     */
+    static resolveTheme(theme = "default") {
+        const styles = typeof theme === "string" ? ConsoleLogger.Themes[theme] : { ...ConsoleLogger.Themes.default, ...theme };
+        if (!styles) {
+            throw new Error(`Unknown console theme: ${theme}. Available themes: ${Object.keys(ConsoleLogger.Themes).join(", ")}`);
+        }
+
+        return Object.fromEntries(Object.entries(styles).map(([level, style]) => {
+            const codes = [].concat(style).map(name => {
+                if (!util.inspect.colors[name]) {
+                    throw new Error(`Unknown console style: ${name}. Available styles: ${Object.keys(util.inspect.colors).join(", ")}`);
+                }
+                return util.inspect.colors[name];
+            });
+            const open = codes.map(([code]) => `\x1b[${code}m`).join("");
+            const close = codes.map(([, code]) => `\x1b[${code}m`).reverse().join("");
+            return [level.toUpperCase(), [open, close]];
+        }));
     }
 
-    log(message) {
-        const formatted = this.formatMessage("INFO", message);
-        console.log("\x1b[36m%s\x1b[0m", formatted); // Cyan color
+    /**
+     * Decide whether a stream should get colors
+     * FORCE_COLOR wins over NO_COLOR (as in Node.js); otherwise colors need a TTY
+     * @param {Object} stream - The output stream
+     * @param {Object} env - Environment variables
+     * @returns {boolean} True if colors should be used
+     */
+    static detectColors(stream, env = process.env) {
+        if (env.FORCE_COLOR !== undefined) {
+            return !["0", "false"].includes(env.FORCE_COLOR);
+        }
+        if (env.NO_COLOR) {
+            return false;
+        }
+        return Boolean(stream && stream.isTTY) && env.TERM !== "dumb";
     }
 
-    warn(message) {
-        const formatted = this.formatMessage("WARN", message);
-        console.warn("\x1b[33m%s\x1b[0m", formatted); // Yellow color
+    /**
+     * Get the stream a level is written to
+     * Custom levels go to stderr when they are at least as severe as WARN
+     * @param {string} level - The log level
+     * @returns {Object} The writable stream
+     */
+    getStream(level) {
+        if (this.outputStream) {
+            return this.outputStream;
+        }
+        return process[ConsoleLogger.LevelStreams[level] || (isLevelAtLeast(level, LogLevels.WARN) ? "stderr" : "stdout")];
     }
 
-    error(message) {
-        const formatted = this.formatMessage("ERROR", message);
-        console.error("\x1b[31m%s\x1b[0m", formatted); // Red color
+    /**
+     * Check whether output to a stream is colored
+     * @param {Object} stream - The output stream
+     * @returns {boolean} True if colors are used
+     */
+    useColors(stream) {
+        return this.colors === undefined ? ConsoleLogger.detectColors(stream) : Boolean(this.colors);
     }
 
-    debug(message) {
-        const formatted = this.formatMessage("DEBUG", message);
-        console.debug("\x1b[90m%s\x1b[0m", formatted); // Gray color
+    /**
+     * Pretty-print a value through util.inspect
+     * @param {*} value - The value
+     * @param {boolean} colors - Use inspect's colors
+     * @returns {string} The printed value
+     */
+    inspect(value, colors) {
+        return this.compact
+            ? util.inspect(value, { depth: this.depth, colors, compact: true, breakLength: Infinity })
+            : util.inspect(value, { depth: this.depth, colors, compact: 3, breakLength: 100 });
+    }
+
+    /**
+     * Render a record in the pretty text layout
+     * @param {Object} record - The log record
+     * @param {boolean} colors - Use colors
+     * @returns {string} The rendered record
+     */
+    renderPretty(record, colors) {
+        const [open, close] = colors && this.theme[record.level] ? this.theme[record.level] : ["", ""];
+        const { err, ...meta } = record.meta || {};
+        const message = typeof record.message === "string" ? record.message : this.inspect(record.message, colors);
+
+        let output = `${open}[${record.timestamp.toISOString()}] [${record.level}] [${record.logger}] ${message}${close}`;
+
+        if (this.compact) {
+            // Keep the error (stack included) inside the single-line metadata
+            const fields = err === undefined ? meta : { ...meta, err };
+            if (Object.keys(fields).length > 0) {
+                output += ` ${this.inspect(fields, colors)}`;
+            }
+            return output;
+        }
+
+        if (Object.keys(meta).length > 0) {
+            output += ` ${this.inspect(meta, colors)}`;
+        }
+        if (err !== undefined) {
+            output += `\n${open}${formatError(err, "    ")}${close}`;
+        }
+        return output;
+    }
+
+    writeRecord(record) {
+        const stream = this.getStream(record.level);
+        const colors = this.useColors(stream);
+
+        let output;
+        if (this.formatter instanceof TextFormatter) {
+            output = this.renderPretty(record, colors);
+        } else {
+            const [open, close] = colors && this.theme[record.level] ? this.theme[record.level] : ["", ""];
+            output = `${open}${this.formatRecord(record)}${close}`;
+        }
+
+        stream.write(`${output}\n`);
     }
 }
 
 export default ConsoleLogger;
-
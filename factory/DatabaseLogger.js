@@ -1,84 +1,201 @@
 import BaseLogger from "./BaseLogger.js";
+import LogStore from "./LogStore.js";
+import MemoryLogStore from "./MemoryLogStore.js";
+import JsonlLogStore from "./JsonlLogStore.js";
+import SqliteLogStore from "./SqliteLogStore.js";
+import { normalizeLevel, getLevels } from "./LogLevels.js";
+import metrics from "./LogMetrics.js";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
 
 /**
- * DatabaseLogger - simulates logging messages to a database
+ * DatabaseLogger - logs messages to a queryable log store
  * Concrete Product in the Factory pattern
- * 
- * Note: This is a mock implementation for demonstration purposes.
- * In a real application, this would connect to an actual database.
+ *
+ * Storage engines:
+ *   memory (default) - in-memory array, lost on restart
+ *   jsonl            - append-only JSON lines file
+ *   sqlite           - SQLite database through node:sqlite (Node.js 22.5+)
+ *
+ * Each entry's metadata holds the record metadata plus the host name and process id
+ * of the writer. Those two keys are reserved: record fields of the same name are kept
+ * as meta_hostname and meta_pid.
  */
 class DatabaseLogger extends BaseLogger {
-    constructor() {
-        super("DatabaseLogger");
-        this.logs = []; // In-memory storage simulating a database
-        this.connectionString = "mongodb://localhost:27017/logs"; // Mock connection
+    /**
+     * Store types enum
+     */
+    static StoreTypes = {
+        MEMORY: "memory",
+        JSONL: "jsonl",
+        SQLITE: "sqlite"
+    };
+
+    /**
+     * Metadata keys set by the logger itself
+     */
+    static ReservedMetadata = ["hostname", "pid"];
+
+    /**
+     * @param {Object} options - Logger options
+     * @param {string|LogStore} options.store - Storage engine: "memory", "jsonl", "sqlite" or a LogStore instance
+     * @param {string} options.storePath - File used by the jsonl/sqlite stores (default logs.jsonl / logs.db in the factory directory)
+     * @param {boolean} options.verbose - Print a line to the console for every saved entry (default true)
+     */
+    constructor(options = {}) {
+        super("DatabaseLogger", options);
+        this.store = DatabaseLogger.createStore(options.store, options.storePath);
+        this.verbose = options.verbose !== false;
+        this.hostname = os.hostname();
+        this.closed = false;
+        this.connectionString = this.store.getConnectionString();
+        this.unregisterMetrics = metrics.registerCollector(
+            "log_database_entries",
+            "Entries held by DatabaseLogger stores, by store and level",
+            () => this.getLevelCounts()
+        );
     }
 
     /**
-     * Simulate saving a log entry to the database
-     * @param {string} level - The log level
-     * @param {string} message - The message to log
+     * Create a storage engine
+     * @param {string|LogStore} store - Store type or instance
+     * @param {string} storePath - File for persistent stores
+     * @returns {LogStore} The store
      */
-    saveToDatabase(level, message) {
-        const logEntry = {
-            id: this.logs.length + 1,
-            timestamp: new Date(),
-            level: level,
-            logger: this.name,
-            message: message,
-            metadata: {
-                hostname: "localhost",
-                pid: process.pid
-            }
-        };
-        
-        this.logs.push(logEntry);
-        
-        // Simulate async database operation
-        console.log(`[DB] Saved log entry #${logEntry.id} to database`);
+    static createStore(store = DatabaseLogger.StoreTypes.MEMORY, storePath) {
+        if (store instanceof LogStore) {
+            return store;
+        }
+
+        switch (String(store).toLowerCase()) {
+            case DatabaseLogger.StoreTypes.MEMORY:
+                return new MemoryLogStore();
+
+            case DatabaseLogger.StoreTypes.JSONL:
+                return new JsonlLogStore(path.resolve(__dirname, storePath || "logs.jsonl"));
+
+            case DatabaseLogger.StoreTypes.SQLITE:
+                return new SqliteLogStore(storePath === ":memory:" ? storePath : path.resolve(__dirname, storePath || "logs.db"));
+
+            default:
+                throw new Error(`Unknown log store: ${store}. Available stores: ${Object.values(DatabaseLogger.StoreTypes).join(", ")}`);
+        }
     }
 
-    log(message) {
-        this.saveToDatabase("INFO", message);
+    /**
+     * Save a log entry to the store
+     * @param {Object} record - The log record to save
+     */
+    saveToDatabase(record) {
+        const logEntry = this.store.insert({
+            timestamp: record.timestamp,
+            level: record.level,
+            logger: record.logger,
+            message: record.message,
+            formatted: this.formatRecord(record),
+            metadata: this.buildMetadata(record.meta)
+        });
+
+        if (this.verbose) {
+            console.log(`[DB] Saved log entry #${logEntry.id} to database`);
+        }
     }
 
-    warn(message) {
-        this.saveToDatabase("WARN", message);
+    /**
+     * Build an entry's metadata: the record fields plus the reserved hostname and pid
+     * @param {Object} meta - The record metadata
+     * @returns {Object} The entry metadata
+     */
+    buildMetadata(meta = {}) {
+        const metadata = {};
+        for (const [key, value] of Object.entries(meta)) {
+            metadata[DatabaseLogger.ReservedMetadata.includes(key) ? `meta_${key}` : key] = value;
+        }
+        metadata.hostname = this.hostname;
+        metadata.pid = process.pid;
+        return metadata;
+    }
+
+    writeRecord(record) {
+        this.saveToDatabase(record);
     }
 
-    error(message) {
-        this.saveToDatabase("ERROR", message);
+    /**
+     * Query log entries
+     * @param {Object} query - Filters (from, to, level, logger, text, metadata), sort ("asc"/"desc"), limit and offset
+     * @returns {Array} Matching log entries
+     */
+    query(query = {}) {
+        return this.store.query(query);
     }
 
-    debug(message) {
-        this.saveToDatabase("DEBUG", message);
+    /**
+     * Count log entries matching a query
+     * @param {Object} query - Filters as accepted by query()
+     * @returns {number} Number of matching entries
+     */
+    count(query = {}) {
+        return this.store.count(query);
     }
 
     /**
-     * Get all logs from the "database"
+     * Get all logs from the database
      * @returns {Array} Array of log entries
      */
     getAllLogs() {
-        return this.logs;
+        return this.query();
     }
 
     /**
      * Get logs by level
+     * Works with custom levels; with orAbove, more severe levels are included too
      * @param {string} level - The log level to filter by
+     * @param {Object} options - Filter options
+     * @param {boolean} options.orAbove - Include every level at or above this one
      * @returns {Array} Filtered log entries
      */
-    getLogsByLevel(level) {
-        return this.logs.filter(log => log.level === level);
+    getLogsByLevel(level, options = {}) {
+        const normalized = normalizeLevel(level);
+        return this.query({ level: options.orAbove ? getLevels(normalized) : normalized });
     }
 
     /**
-     * Clear all logs from the "database"
+     * Clear all logs from the database
      */
     clearLogs() {
-        this.logs = [];
+        this.store.clear();
         console.log("[DB] All logs cleared");
     }
+
+    /**
+     * Count the stored entries of each level (levels without entries are left out)
+     * Feeds the log_database_entries metric
+     * @returns {Array<Object>} { labels: { store, level }, value } per level
+     */
+    getLevelCounts() {
+        return getLevels()
+            .map(level => ({ labels: { store: this.connectionString, level }, value: this.store.count({ level }) }))
+            .filter(({ value }) => value > 0);
+    }
+
+    /**
+     * Close the underlying store and stop reporting its counts
+     * Closing again does nothing (a store may be reached through several loggers on shutdown)
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        this.unregisterMetrics();
+        this.store.close();
+    }
 }
 
 export default DatabaseLogger;
-
@@ -0,0 +1,126 @@
+import { safeStringify } from "./SafeJson.js";
+
+/**
+ * Error Serializer - converts Error objects into plain, JSON-safe objects
+ * so every transport records errors the same way
+ *
+ * A serialized error has the shape:
+ * { name, message, stack, ...customFields, cause?, errors? }
+ * where cause is the serialized `cause` chain and errors holds AggregateError members.
+ */
+
+/**
+ * Maximum depth followed through cause chains and nested errors
+ */
+export const MAX_ERROR_DEPTH = 10;
+
+/**
+ * Check whether a value is an Error (including errors from other realms)
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is an Error
+ */
+export function isError(value) {
+    return value instanceof Error || Object.prototype.toString.call(value) === "[object Error]";
+}
+
+/**
+ * Serialize an error with its cause chain, AggregateError members and custom fields
+ * @param {Error} error - The error to serialize
+ * @param {number} depth - Current nesting depth
+ * @param {WeakSet} seen - Errors already serialized on this path, to stop at cycles
+ * @returns {Object} The serialized error
+ */
+export function serializeError(error, depth = 0, seen = new WeakSet()) {
+    if (seen.has(error)) {
+        return { name: error.name, message: error.message, circular: true };
+    }
+    seen.add(error);
+
+    const serialized = {
+        name: error.name || "Error",
+        message: error.message,
+        stack: error.stack
+    };
+
+    for (const key of Object.keys(error)) {
+        if (!["name", "message", "stack", "cause", "errors"].includes(key)) {
+            serialized[key] = serializeValue(error[key], depth, seen);
+        }
+    }
+
+    if (depth < MAX_ERROR_DEPTH) {
+        if (error.cause !== undefined) {
+            serialized.cause = serializeValue(error.cause, depth + 1, seen);
+        }
+        if (Array.isArray(error.errors)) {
+            serialized.errors = error.errors.map(member => serializeValue(member, depth + 1, seen));
+        }
+    }
+
+    seen.delete(error);
+    return serialized;
+}
+
+/**
+ * Serialize a value that may be or contain errors
+ * @param {*} value - The value
+ * @param {number} depth - Current nesting depth
+ * @param {WeakSet} seen - Errors already serialized on this path
+ * @returns {*} The value with errors serialized
+ */
+function serializeValue(value, depth, seen) {
+    if (isError(value)) {
+        return serializeError(value, depth, seen);
+    }
+    return value;
+}
+
+/**
+ * Serialize every Error found in the top-level fields of a metadata object
+ * @param {Object} meta - Record metadata
+ * @returns {Object} Metadata with errors replaced by their serialized form
+ */
+export function serializeErrors(meta) {
+    const result = {};
+    for (const [key, value] of Object.entries(meta)) {
+        result[key] = isError(value) ? serializeError(value) : value;
+    }
+    return result;
+}
+
+/**
+ * Render a serialized error as text: its stack (custom fields appended to the first line as JSON),
+ * then the AggregateError members and the cause chain
+ * @param {Object} error - A serialized error
+ * @param {string} indent - Indentation for nested errors
+ * @returns {string} Multi-line text
+ */
+export function formatError(error, indent = "") {
+    if (!error || typeof error !== "object") {
+        return `${indent}${String(error)}`;
+    }
+
+    const [first, ...frames] = (error.stack || `${error.name}: ${error.message}`).split("\n");
+    const { name, message, stack, cause, errors, circular, ...fields } = error;
+    const head = Object.keys(fields).length > 0 ? `${first} ${safeStringify(fields)}` : first;
+    const lines = [[head, ...frames].map(line => indent + line).join("\n")];
+
+    if (Array.isArray(error.errors)) {
+        error.errors.forEach((member, index) => {
+            lines.push(`${indent}  [${index}] ${formatError(member, `${indent}  `).trimStart()}`);
+        });
+    }
+    if (error.cause !== undefined) {
+        lines.push(`${indent}Caused by: ${formatError(error.cause, indent).trimStart()}`);
+    }
+
+    return lines.join("\n");
+}
+
+export default {
+    MAX_ERROR_DEPTH,
+    isError,
+    serializeError,
+    serializeErrors,
+    formatError
+};
@@ -1,4 +1,6 @@
 import BaseLogger from "./BaseLogger.js";
+import metrics from "./LogMetrics.js";
+import LogRotator from "./LogRotator.js";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -10,48 +12,260 @@ const __dirname = dirname(__filename);
 /**
  * FileLogger - logs messages to a file
  * Concrete Product in the Factory pattern
+ *
+ * Relative filenames are resolved against the factory directory.
+ * With the `rotation` option the file is rotated by size and/or time
+ * (see LogRotator for archive naming, compression and retention);
+ * rotated files are compressed in the background.
+ *
+ * By default lines are buffered and written in batches through a write stream,
+ * one batch at a time, so the stream never holds more than one pending batch.
+ * Call flush() or close() to wait for buffered lines to reach the file.
+ * With `sync: true` every line is appended synchronously, which is what
+ * crash paths need; flushSync() writes the current buffer synchronously.
  */
 class FileLogger extends BaseLogger {
-    constructor(filename = "app.log") {
-        super("FileLogger");
-        this.logFile = path.join(__dirname, filename);
-        
+    /**
+     * @param {string} filename - The log file name or path
+     * @param {Object} options - Logger options
+     * @param {Object} options.rotation - Rotation options (maxSize, interval, naming, compress, maxFiles, maxAgeDays)
+     * @param {boolean} options.sync - Append every line synchronously (default false)
+     * @param {number} options.bufferSize - Number of buffered lines that triggers a flush (default 1000)
+     * @param {number} options.flushInterval - Delay in ms before buffered lines are flushed (default 0, next turn of the event loop)
+     */
+    constructor(filename = "app.log", options = {}) {
+        super("FileLogger", options);
+        this.logFile = path.resolve(__dirname, filename);
+        this.rotator = options.rotation ? new LogRotator(this.logFile, options.rotation) : null;
+        this.sync = Boolean(options.sync);
+        this.bufferSize = options.bufferSize || 1000;
+        this.flushInterval = options.flushInterval || 0;
+
+        this.buffer = [];
+        this.writeStream = null;
+        this.flushTimer = null;
+        this.pendingFlush = Promise.resolve();
+
         // Create the log file if it doesn't exist
+        this.initializeLogFile();
+    }
+
+    /**
+     * Create the log file with a header if it doesn't exist
+     */
+    initializeLogFile() {
         if (!fs.existsSync(this.logFile)) {
-            fs.writeFileSync(this.logFile, `=== Log started at ${new Date().toISOString()} ===\n`);
+            const header = `=== Log started at ${new Date().toISOString()} ===\n`;
+            fs.writeFileSync(this.logFile, header);
+            metrics.recordBytesWritten(this.logFile, Buffer.byteLength(header));
+            if (this.rotator) {
+                this.rotator.recordWrite(Buffer.byteLength(header));
+            }
         }
     }
 
     /**
      * Write a message to the log file
+     * In buffered mode the line is queued and written on the next flush
      * @param {string} formatted - The formatted message
      */
     writeToFile(formatted) {
+        const line = formatted + "\n";
+
+        if (this.sync) {
+            this.appendSync([line]);
+            return;
+        }
+
+        this.buffer.push(line);
+        if (this.buffer.length >= this.bufferSize) {
+            this.flush();
+        } else {
+            this.scheduleFlush();
+        }
+    }
+
+    /**
+     * Schedule a flush of the buffer if one is not already scheduled
+     */
+    scheduleFlush() {
+        if (this.flushTimer) {
+            return;
+        }
+        const run = () => {
+            this.flushTimer = null;
+            this.flush();
+        };
+        this.flushTimer = this.flushInterval > 0
+            ? { timeout: setTimeout(run, this.flushInterval) }
+            : { immediate: setImmediate(run) };
+    }
+
+    /**
+     * Cancel a scheduled flush
+     */
+    cancelScheduledFlush() {
+        if (!this.flushTimer) {
+            return;
+        }
+        clearTimeout(this.flushTimer.timeout);
+        clearImmediate(this.flushTimer.immediate);
+        this.flushTimer = null;
+    }
+
+    /**
+     * Write all buffered lines to the file
+     * A failure (e.g. rotation or re-creating the file fails) is reported and counted;
+     * the lines of the failed batch are lost, and later flushes are not affected
+     * @returns {Promise<void>} Resolves once every line buffered so far is written and
+     *   rotated archives are compressed
+     */
+    flush() {
+        this.cancelScheduledFlush();
+        this.pendingFlush = this.pendingFlush
+            .then(() => this.writeBuffer())
+            .catch(error => {
+                console.error(`Failed to write to log file: ${error.message}`);
+                metrics.recordWriteFailure(this.name);
+            });
+        // Archives still being compressed are waited for, but do not hold up later writes
+        return this.rotator ? this.pendingFlush.then(() => this.rotator.whenIdle()) : this.pendingFlush;
+    }
+
+    /**
+     * Write the buffer in batches, rotating between lines when needed
+     * @returns {Promise<void>}
+     */
+    async writeBuffer() {
+        while (this.buffer.length > 0) {
+            const lines = this.buffer.splice(0);
+            let batch = "";
+
+            for (const line of lines) {
+                const bytes = Buffer.byteLength(line);
+                if (this.rotator && this.rotator.shouldRotate(bytes)) {
+                    await this.writeChunk(batch);
+                    batch = "";
+                    this.rotate();
+                }
+                batch += line;
+                if (this.rotator) {
+                    this.rotator.recordWrite(bytes);
+                }
+            }
+
+            await this.writeChunk(batch);
+        }
+    }
+
+    /**
+     * Write a chunk through the stream and wait for it to be handed to the file
+     * @param {string} chunk - The data to write
+     * @returns {Promise<void>}
+     */
+    writeChunk(chunk) {
+        if (!chunk) {
+            return Promise.resolve();
+        }
+        const stream = this.getStream();
+        return new Promise(resolve => {
+            stream.write(chunk, error => {
+                if (error) {
+                    console.error(`Failed to write to log file: ${error.message}`);
+                    metrics.recordWriteFailure(this.name);
+                } else {
+                    metrics.recordBytesWritten(this.logFile, Buffer.byteLength(chunk));
+                }
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Get the write stream, opening it if needed
+     * @returns {fs.WriteStream} The stream appending to the log file
+     */
+    getStream() {
+        if (!this.writeStream) {
+            this.writeStream = fs.createWriteStream(this.logFile, { flags: "a" });
+            this.writeStream.on("error", error => {
+                console.error(`Failed to write to log file: ${error.message}`);
+            });
+        }
+        return this.writeStream;
+    }
+
+    /**
+     * Append lines synchronously, rotating first if needed
+     * @param {Array<string>} lines - Newline-terminated lines
+     */
+    appendSync(lines) {
         try {
-            fs.appendFileSync(this.logFile, formatted + "\n");
+            for (const line of lines) {
+                const bytes = Buffer.byteLength(line);
+                if (this.rotator && this.rotator.shouldRotate(bytes)) {
+                    this.rotate();
+                }
+                fs.appendFileSync(this.logFile, line);
+                metrics.recordBytesWritten(this.logFile, bytes);
+                if (this.rotator) {
+                    this.rotator.recordWrite(bytes);
+                }
+            }
         } catch (error) {
             console.error(`Failed to write to log file: ${error.message}`);
+            metrics.recordWriteFailure(this.name);
         }
     }
 
-    log(message) {
-        const formatted = this.formatMessage("INFO", message);
-        this.writeToFile(formatted);
+    /**
+     * Synchronously write the buffered lines, for crash paths such as
+     * uncaught exception handlers where the event loop will not run again
+     */
+    flushSync() {
+        this.cancelScheduledFlush();
+        this.appendSync(this.buffer.splice(0));
     }
 
-    warn(message) {
-        const formatted = this.formatMessage("WARN", message);
-        this.writeToFile(formatted);
+    /**
+     * Flush the buffer and close the write stream
+     * A later write opens a new stream
+     * @returns {Promise<void>} Resolves once the file is closed
+     */
+    async close() {
+        await this.flush();
+        if (this.writeStream) {
+            const stream = this.writeStream;
+            this.writeStream = null;
+            await new Promise(resolve => stream.end(resolve));
+        }
     }
 
-    error(message) {
-        const formatted = this.formatMessage("ERROR", message);
-        this.writeToFile(formatted);
+    /**
+     * Rotate the log file now and start a new one
+     * Lines still being written by the stream finish in the archived file
+     * @returns {Promise<string|null>} Path of the archive once it is in place (compressed if
+     *   configured), or null if rotation is not configured or compression failed
+     */
+    rotate() {
+        if (!this.rotator) {
+            return Promise.resolve(null);
+        }
+        if (this.writeStream) {
+            this.writeStream.end();
+            this.writeStream = null;
+        }
+        const archive = this.rotator.rotate().catch(error => {
+            console.error(`Failed to compress log archive: ${error.message}`);
+            metrics.recordWriteFailure(this.name);
+            return null;
+        });
+        this.initializeLogFile();
+        return archive;
     }
 
-    debug(message) {
-        const formatted = this.formatMessage("DEBUG", message);
-        this.writeToFile(formatted);
+    writeRecord(record) {
+        this.writeToFile(this.formatRecord(record));
     }
 
     /**
@@ -64,4 +278,3 @@ class FileLogger extends BaseLogger {
 }
 
 export default FileLogger;
-
@@ -0,0 +1,67 @@
+import LogFormatter from "./LogFormatter.js";
+import TextFormatter from "./TextFormatter.js";
+import JsonFormatter from "./JsonFormatter.js";
+import LogfmtFormatter from "./LogfmtFormatter.js";
+import PatternFormatter from "./PatternFormatter.js";
+
+/**
+ * FormatterFactory - creates formatters from the `format` logger option
+ *
+ * Accepted values:
+ *   "text" (default), "json", "logfmt"
+ *   a pattern string such as "%d %-5level %logger - %msg"
+ *   { type: "pattern", pattern: "..." }
+ *   an instance of LogFormatter
+ */
+class FormatterFactory {
+    /**
+     * Formatter types enum
+     */
+    static FormatterTypes = {
+        TEXT: "text",
+        JSON: "json",
+        LOGFMT: "logfmt",
+        PATTERN: "pattern"
+    };
+
+    /**
+     * Create a formatter from a format option
+     * @param {string|Object|LogFormatter} format - The format option
+     * @returns {LogFormatter} The formatter instance
+     */
+    static createFormatter(format = FormatterFactory.FormatterTypes.TEXT) {
+        if (format instanceof LogFormatter) {
+            return format;
+        }
+
+        if (typeof format === "object" && format !== null) {
+            if (format.type === FormatterFactory.FormatterTypes.PATTERN) {
+                return new PatternFormatter(format.pattern);
+            }
+            return this.createFormatter(format.type);
+        }
+
+        if (typeof format === "string" && format.includes("%")) {
+            return new PatternFormatter(format);
+        }
+
+        switch (String(format).toLowerCase()) {
+            case FormatterFactory.FormatterTypes.TEXT:
+                return new TextFormatter();
+
+            case FormatterFactory.FormatterTypes.JSON:
+                return new JsonFormatter();
+
+            case FormatterFactory.FormatterTypes.LOGFMT:
+                return new LogfmtFormatter();
+
+            case FormatterFactory.FormatterTypes.PATTERN:
+                return new PatternFormatter();
+
+            default:
+                throw new Error(`Unknown log format: ${format}. Available formats: ${Object.values(FormatterFactory.FormatterTypes).join(", ")}`);
+        }
+    }
+}
+
+export default FormatterFactory;
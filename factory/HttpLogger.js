@@ -0,0 +1,318 @@
+import BaseLogger from "./BaseLogger.js";
+import metrics from "./LogMetrics.js";
+import { safeStringify } from "./SafeJson.js";
+import http from "http";
+import https from "https";
+import zlib from "zlib";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * HttpLogger - ships log records in batches to an HTTP collector
+ * Concrete Product in the Factory pattern
+ *
+ * Records are buffered and POSTed as a JSON array once `batchSize` records are
+ * buffered or `flushInterval` ms after the first one. Requests that fail with a
+ * 5xx/429 status or a connection error are retried with exponential backoff.
+ * When retries are exhausted the batch is written to a bounded on-disk spool
+ * (if `spoolDir` is set) and re-sent after the next successful request, or when
+ * a logger is created with the same spool directory.
+ *
+ * Once retries are exhausted the collector is considered down: later batches get a
+ * single attempt, without backoff, until one is delivered. At most `maxBuffer`
+ * records wait in memory; beyond that the oldest batch is spooled (or dropped and
+ * counted as `buffer_overflow` without a spool).
+ */
+class HttpLogger extends BaseLogger {
+    /**
+     * @param {Object} options - Logger options
+     * @param {string} options.url - Collector endpoint (http or https)
+     * @param {Object} options.headers - Extra request headers (e.g. authorization)
+     * @param {number} options.batchSize - Records per request (default 100)
+     * @param {number} options.flushInterval - Max delay in ms before buffered records are sent (default 1000)
+     * @param {boolean} options.gzip - Compress request bodies (default false)
+     * @param {number} options.timeout - Request timeout in ms (default 10000)
+     * @param {number} options.maxRetries - Retries per batch (default 5)
+     * @param {number} options.retryDelay - First retry delay in ms, doubled on each retry (default 500)
+     * @param {number} options.maxRetryDelay - Upper bound of the retry delay in ms (default 30000)
+     * @param {string} options.spoolDir - Directory for batches that could not be delivered
+     * @param {number} options.maxSpoolBytes - Spool size limit; the oldest batches are dropped beyond it (default 10 MB)
+     * @param {number} options.maxBuffer - Records kept in memory while batches are being sent (default 10000)
+     */
+    constructor(options = {}) {
+        super("HttpLogger", options);
+        if (!options.url) {
+            throw new Error("HttpLogger requires a collector url");
+        }
+
+        this.url = new URL(options.url);
+        this.headers = options.headers || {};
+        this.batchSize = options.batchSize || 100;
+        this.flushInterval = options.flushInterval ?? 1000;
+        this.gzip = Boolean(options.gzip);
+        this.timeout = options.timeout || 10000;
+        this.maxRetries = options.maxRetries ?? 5;
+        this.retryDelay = options.retryDelay || 500;
+        this.maxRetryDelay = options.maxRetryDelay || 30000;
+        this.spoolDir = options.spoolDir ? path.resolve(__dirname, options.spoolDir) : null;
+        this.maxSpoolBytes = options.maxSpoolBytes || 10 * 1024 * 1024;
+        this.maxBuffer = Math.max(options.maxBuffer || 10000, this.batchSize);
+
+        this.buffer = [];
+        this.flushTimer = null;
+        this.pendingFlush = Promise.resolve();
+        this.spoolSequence = 0;
+        this.collectorDown = false; // Set when a batch exhausted its retries, cleared by the next delivery
+        this.stats = { sent: 0, failed: 0, spooled: 0, dropped: 0 };
+
+        if (this.spoolDir) {
+            fs.mkdirSync(this.spoolDir, { recursive: true });
+            if (this.listSpool().length > 0) {
+                // Batches left by an earlier run
+                this.enqueue(() => this.drainSpool());
+            }
+        }
+    }
+
+    /**
+     * Convert a record to the JSON sent to the collector
+     * @param {Object} record - The log record
+     * @returns {Object} Plain object
+     */
+    serializeRecord(record) {
+        return {
+            timestamp: record.timestamp.toISOString(),
+            level: record.level,
+            logger: record.logger,
+            message: record.message,
+            meta: record.meta
+        };
+    }
+
+    writeRecord(record) {
+        this.buffer.push(this.serializeRecord(record));
+        if (this.buffer.length > this.maxBuffer) {
+            // Sending does not keep up (e.g. the collector is down): move the oldest batch out of memory
+            this.spool(this.buffer.splice(0, this.batchSize), "buffer_overflow");
+        }
+        if (this.buffer.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush();
+            }, this.flushInterval);
+        }
+    }
+
+    /**
+     * Send everything buffered so far, then retry spooled batches
+     * A failure (e.g. the spool directory is not writable) is reported and counted,
+     * and later flushes are not affected
+     * @returns {Promise<void>} Resolves once the buffered records are delivered or spooled
+     */
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        return this.enqueue(() => this.sendBuffer());
+    }
+
+    /**
+     * Run a send task after the ones already queued
+     * @param {Function} task - Async function sending records
+     * @returns {Promise<void>} Resolves once the task is done; failures are reported, not rethrown
+     */
+    enqueue(task) {
+        this.pendingFlush = this.pendingFlush
+            .then(task)
+            .catch(error => {
+                console.error(`Failed to ship logs to ${this.url.origin}: ${error.message}`);
+                metrics.recordWriteFailure(this.name);
+            });
+        return this.pendingFlush;
+    }
+
+    /**
+     * Send the buffer in batches of batchSize
+     * @returns {Promise<void>}
+     */
+    async sendBuffer() {
+        let delivered = false;
+
+        while (this.buffer.length > 0) {
+            const batch = this.buffer.splice(0, this.batchSize);
+            if (await this.sendWithRetry(batch)) {
+                delivered = true;
+            } else {
+                this.spool(batch);
+            }
+        }
+
+        // The collector is reachable again: re-send what was spooled during the outage
+        if (delivered) {
+            await this.drainSpool();
+        }
+    }
+
+    /**
+     * POST a batch, retrying with exponential backoff on retryable failures
+     * While the collector is down a batch gets a single attempt
+     * @param {Array<Object>} batch - Serialized records
+     * @returns {Promise<boolean>} True if the batch was delivered
+     */
+    async sendWithRetry(batch) {
+        const retries = this.collectorDown ? 0 : this.maxRetries;
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            let outcome;
+            try {
+                outcome = await this.post(batch);
+            } catch (error) {
+                outcome = "retry";
+                if (attempt === retries && !this.collectorDown) {
+                    console.error(`Failed to ship logs to ${this.url.origin}: ${error.message}`);
+                }
+            }
+
+            if (outcome === "ok") {
+                this.stats.sent += batch.length;
+                this.collectorDown = false;
+                return true;
+            }
+            if (outcome === "reject") {
+                // The collector refused the batch; retrying would not help
+                this.stats.failed += batch.length;
+                metrics.recordWriteFailure(this.name);
+                return true;
+            }
+            if (attempt < retries) {
+                const delay = Math.min(this.retryDelay * 2 ** attempt, this.maxRetryDelay);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+
+        this.stats.failed += batch.length;
+        metrics.recordWriteFailure(this.name);
+        this.collectorDown = true;
+        return false;
+    }
+
+    /**
+     * Make one POST request
+     * @param {Array<Object>} batch - Serialized records
+     * @returns {Promise<string>} "ok" for 2xx, "retry" for 429/5xx, "reject" for other statuses; rejects on connection errors
+     */
+    post(batch) {
+        let body = Buffer.from(safeStringify(batch));
+        const headers = { "Content-Type": "application/json", ...this.headers };
+        if (this.gzip) {
+            body = zlib.gzipSync(body);
+            headers["Content-Encoding"] = "gzip";
+        }
+        headers["Content-Length"] = body.length;
+
+        const client = this.url.protocol === "https:" ? https : http;
+        return new Promise((resolve, reject) => {
+            const request = client.request(this.url, { method: "POST", headers, timeout: this.timeout }, response => {
+                response.resume();
+                const status = response.statusCode;
+                if (status >= 200 && status < 300) resolve("ok");
+                else if (status === 429 || status >= 500) resolve("retry");
+                else {
+                    console.error(`Log collector rejected batch with status ${status}`);
+                    resolve("reject");
+                }
+            });
+            request.on("timeout", () => request.destroy(new Error(`Request timed out after ${this.timeout}ms`)));
+            request.on("error", reject);
+            request.end(body);
+        });
+    }
+
+    /**
+     * Write an undelivered batch to the spool, dropping the oldest batches beyond maxSpoolBytes
+     * Without a spool directory the batch is dropped
+     * @param {Array<Object>} batch - Serialized records
+     * @param {string} reason - Drop reason counted without a spool ("undelivered" or "buffer_overflow")
+     */
+    spool(batch, reason = "undelivered") {
+        if (!this.spoolDir) {
+            this.stats.dropped += batch.length;
+            metrics.recordDropped(this.name, reason, batch.length);
+            return;
+        }
+
+        const name = `${Date.now()}-${String(this.spoolSequence++).padStart(6, "0")}.json`;
+        fs.writeFileSync(path.join(this.spoolDir, name), safeStringify(batch));
+        this.stats.spooled += batch.length;
+
+        const files = this.listSpool().map(file => ({ file, size: fs.statSync(file).size }));
+        let total = files.reduce((sum, { size }) => sum + size, 0);
+        for (const { file, size } of files) {
+            if (total <= this.maxSpoolBytes) break;
+            const dropped = JSON.parse(fs.readFileSync(file, "utf-8")).length;
+            this.stats.dropped += dropped;
+            metrics.recordDropped(this.name, "spool_full", dropped);
+            fs.unlinkSync(file);
+            total -= size;
+        }
+    }
+
+    /**
+     * List spooled batch files, oldest first
+     * @returns {Array<string>} Absolute file paths
+     */
+    listSpool() {
+        if (!this.spoolDir) {
+            return [];
+        }
+        return fs.readdirSync(this.spoolDir)
+            .filter(name => name.endsWith(".json"))
+            .sort()
+            .map(name => path.join(this.spoolDir, name));
+    }
+
+    /**
+     * Re-send spooled batches, oldest first, stopping at the first failure
+     * @returns {Promise<void>}
+     */
+    async drainSpool() {
+        for (const file of this.listSpool()) {
+            let batch;
+            try {
+                batch = JSON.parse(fs.readFileSync(file, "utf-8"));
+            } catch {
+                fs.unlinkSync(file);
+                continue;
+            }
+
+            let outcome;
+            try {
+                outcome = await this.post(batch);
+            } catch {
+                return;
+            }
+            if (outcome === "retry") {
+                return;
+            }
+            if (outcome === "ok") {
+                this.stats.sent += batch.length;
+            }
+            fs.unlinkSync(file);
+        }
+    }
+
+    /**
+     * Get delivery statistics
+     * @returns {Object} Record counts: sent, failed (attempts given up), spooled (written to disk), dropped (lost)
+     */
+    getStatistics() {
+        return { ...this.stats };
+    }
+}
+
+export default HttpLogger;
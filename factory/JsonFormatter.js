@@ -0,0 +1,30 @@
+import LogFormatter from "./LogFormatter.js";
+import { safeStringify } from "./SafeJson.js";
+
+/**
+ * JsonFormatter - newline-delimited JSON (one object per line)
+ * Produces lines like: {"timestamp":"...","level":"INFO","logger":"FileLogger","message":"..."}
+ * Metadata, when present, is nested under a "meta" key so it cannot clash with the core fields
+ */
+class JsonFormatter extends LogFormatter {
+    constructor() {
+        super("json");
+    }
+
+    format(record) {
+        const output = {
+            timestamp: record.timestamp.toISOString(),
+            level: record.level,
+            logger: record.logger,
+            message: record.message
+        };
+
+        if (this.hasMeta(record)) {
+            output.meta = record.meta;
+        }
+
+        return safeStringify(output);
+    }
+}
+
+export default JsonFormatter;
@@ -0,0 +1,67 @@
+import LogStore from "./LogStore.js";
+import fs from "fs";
+import { safeStringify } from "./SafeJson.js";
+
+/**
+ * JsonlLogStore - append-only store with one JSON entry per line
+ * The file is the source of truth: entries survive restarts and
+ * every query reads the file again
+ */
+class JsonlLogStore extends LogStore {
+    /**
+     * @param {string} filePath - Absolute path of the JSONL file
+     */
+    constructor(filePath) {
+        super("jsonl");
+        this.filePath = filePath;
+
+        if (!fs.existsSync(filePath)) {
+            fs.writeFileSync(filePath, "");
+        }
+
+        const entries = this.readAll();
+        this.nextId = entries.length > 0 ? entries[entries.length - 1].id + 1 : 1;
+    }
+
+    /**
+     * Read and parse every entry in the file
+     * Lines that cannot be parsed (e.g. a partial write) are skipped
+     * @returns {Array<Object>} The entries, with timestamps as Dates
+     */
+    readAll() {
+        return fs.readFileSync(this.filePath, "utf-8")
+            .split("\n")
+            .filter(line => line.trim() !== "")
+            .map(line => {
+                try {
+                    const entry = JSON.parse(line);
+                    entry.timestamp = new Date(entry.timestamp);
+                    return entry;
+                } catch {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    insert(entry) {
+        const saved = { id: this.nextId++, ...entry };
+        fs.appendFileSync(this.filePath, safeStringify(saved) + "\n");
+        return saved;
+    }
+
+    query(query = {}) {
+        return LogStore.apply(this.readAll(), query);
+    }
+
+    clear() {
+        fs.writeFileSync(this.filePath, "");
+        this.nextId = 1;
+    }
+
+    getConnectionString() {
+        return `jsonl://${this.filePath}`;
+    }
+}
+
+export default JsonlLogStore;
@@ -0,0 +1,34 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+/**
+ * Log Context - request/correlation fields that follow async execution
+ *
+ * Fields set with runWithContext() are visible to every logger while fn runs,
+ * including in callbacks, timers and awaited promises started inside it.
+ * Nested calls add to (and may override) the enclosing context.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with additional context fields
+ * @param {Object} fields - Fields to add, e.g. { correlationId }
+ * @param {Function} fn - The function to run
+ * @returns {*} The function's return value (a promise for async functions)
+ */
+export function runWithContext(fields, fn) {
+    return storage.run({ ...getContext(), ...fields }, fn);
+}
+
+/**
+ * Get the context fields of the current async execution
+ * @returns {Object} The fields (empty outside runWithContext)
+ */
+export function getContext() {
+    return storage.getStore() || {};
+}
+
+export default {
+    runWithContext,
+    getContext
+};
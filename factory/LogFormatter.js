@@ -0,0 +1,49 @@
+import util from "util";
+
+/**
+ * LogFormatter - Base class for all log formatters
+ * A formatter turns a log record into the line written by a logger
+ *
+ * A log record has the shape:
+ * { timestamp: Date, level: string, logger: string, message: string, meta: Object }
+ * The message may also be any other value (logger.info({ a: 1 }), logger.info(42), ...);
+ * text formats print it through stringifyMessage().
+ */
+class LogFormatter {
+    constructor(name = "LogFormatter") {
+        this.name = name;
+    }
+
+    /**
+     * Format a log record
+     * @param {Object} record - The log record to format
+     * @returns {string} Formatted line (without trailing newline)
+     */
+    format(record) {
+        throw new Error("Method 'format()' must be implemented");
+    }
+
+    /**
+     * Turn a message into text for a single-line format
+     * Strings are kept as is; other values are printed with util.inspect on one line
+     * @param {*} message - The record's message
+     * @returns {string} The message text
+     */
+    static stringifyMessage(message) {
+        if (typeof message === "string") {
+            return message;
+        }
+        return util.inspect(message, { depth: 4, breakLength: Infinity });
+    }
+
+    /**
+     * Check whether a record carries structured fields
+     * @param {Object} record - The log record
+     * @returns {boolean} True if the record has metadata
+     */
+    hasMeta(record) {
+        return Boolean(record.meta) && Object.keys(record.meta).length > 0;
+    }
+}
+
+export default LogFormatter;
@@ -0,0 +1,122 @@
+/**
+ * Log Levels - Defines the log levels and their severities
+ * A logger writes a record only when its level is at or above the logger's threshold
+ *
+ * Further levels can be added with defineLevel(); loggers get a method for each
+ * level (logger.trace(), logger.audit(), ...) through onLevelDefined().
+ */
+export const LogLevels = {
+    TRACE: "TRACE",
+    DEBUG: "DEBUG",
+    INFO: "INFO",
+    WARN: "WARN",
+    AUDIT: "AUDIT",
+    ERROR: "ERROR",
+    FATAL: "FATAL"
+};
+
+/**
+ * Numeric severity of each level (higher is more severe)
+ * AUDIT sits between WARN and ERROR so audit events pass INFO and WARN thresholds
+ */
+export const LevelSeverity = {
+    [LogLevels.TRACE]: 5,
+    [LogLevels.DEBUG]: 10,
+    [LogLevels.INFO]: 20,
+    [LogLevels.WARN]: 30,
+    [LogLevels.AUDIT]: 35,
+    [LogLevels.ERROR]: 40,
+    [LogLevels.FATAL]: 50
+};
+
+/**
+ * Callbacks run for every level, including levels defined later
+ */
+const listeners = [];
+
+/**
+ * Normalize a level name and make sure it is known
+ * @param {string} level - Level name (case-insensitive)
+ * @returns {string} The upper-case level name
+ */
+export function normalizeLevel(level) {
+    const normalized = String(level).toUpperCase();
+    if (!(normalized in LevelSeverity)) {
+        throw new Error(`Unknown log level: ${level}. Available levels: ${Object.keys(LevelSeverity).join(", ")}`);
+    }
+    return normalized;
+}
+
+/**
+ * Check whether a level meets a threshold
+ * @param {string} level - The level of the record
+ * @param {string} threshold - The minimum level
+ * @returns {boolean} True if level is at or above threshold
+ */
+export function isLevelAtLeast(level, threshold) {
+    return LevelSeverity[normalizeLevel(level)] >= LevelSeverity[normalizeLevel(threshold)];
+}
+
+/**
+ * Get the levels at or above a threshold, least severe first
+ * @param {string} threshold - The minimum level (default: all levels)
+ * @returns {Array<string>} The level names
+ */
+export function getLevels(threshold = null) {
+    return Object.keys(LevelSeverity)
+        .filter(level => threshold === null || isLevelAtLeast(level, threshold))
+        .sort((a, b) => LevelSeverity[a] - LevelSeverity[b]);
+}
+
+/**
+ * Define a custom level
+ * Defining an existing level again with the same severity does nothing
+ * @param {string} name - Level name, e.g. "NOTICE" (letters, digits and underscores)
+ * @param {number} severity - Numeric severity, e.g. 25 to sit between INFO and WARN
+ * @returns {string} The upper-case level name
+ */
+export function defineLevel(name, severity) {
+    const level = String(name).toUpperCase();
+    if (!/^[A-Z][A-Z0-9_]*$/.test(level)) {
+        throw new Error(`Invalid log level name: ${name}. Use letters, digits and underscores`);
+    }
+    if (typeof severity !== "number" || !Number.isFinite(severity)) {
+        throw new Error(`Log level ${level} needs a numeric severity, got: ${severity}`);
+    }
+    if (level in LevelSeverity) {
+        if (LevelSeverity[level] !== severity) {
+            throw new Error(`Log level already defined: ${level} (severity ${LevelSeverity[level]})`);
+        }
+        return level;
+    }
+
+    LogLevels[level] = level;
+    LevelSeverity[level] = severity;
+    try {
+        listeners.forEach(listener => listener(level));
+    } catch (error) {
+        delete LogLevels[level];
+        delete LevelSeverity[level];
+        throw error;
+    }
+    return level;
+}
+
+/**
+ * Run a callback for every existing level and for each level defined later
+ * @param {Function} listener - Called with the level name
+ */
+export function onLevelDefined(listener) {
+    listeners.push(listener);
+    Object.keys(LevelSeverity).forEach(level => listener(level));
+}
+
+export default {
+    LogLevels,
+    LevelSeverity,
+    normalizeLevel,
+    isLevelAtLeast,
+    getLevels,
+    defineLevel,
+    onLevelDefined
+};
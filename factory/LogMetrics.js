@@ -0,0 +1,241 @@
+import http from "http";
+
+/**
+ * LogMetrics - counters derived from logging activity, in Prometheus text format
+ *
+ * Loggers report to the single shared instance exported by this module:
+ *   log_records_total{logger,level}          Records written by each logger that writes them itself
+ *   log_errors_per_minute                    ERROR (and more severe) records logged in the last 60 seconds
+ *   log_records_dropped_total{logger,reason} Records dropped by throttling, full queues or buffers
+ *   log_write_failures_total{logger}         Writes that failed (file errors, failing composite children, undelivered batches)
+ *   log_file_bytes_written_total{file}       Bytes appended to each log file
+ * Collectors add metrics computed when scraped, such as DatabaseLogger's entry counts.
+ *
+ * Read the metrics with getMetricsText() or serve them with serve().
+ */
+class LogMetrics {
+    constructor() {
+        this.counters = new Map(); // name -> { help, values: Map<labelKey, { labels, value }> }
+        this.collectors = new Map(); // name -> { help, type, callbacks: Set<Function> }
+        this.errorSeconds = new Map(); // Unix second -> ERROR records logged in that second
+        this.defineCounter("log_records_total", "Log records written, by logger and level");
+        this.defineCounter("log_records_dropped_total", "Log records dropped, by logger and reason");
+        this.defineCounter("log_write_failures_total", "Failed log writes, by logger");
+        this.defineCounter("log_file_bytes_written_total", "Bytes appended to log files, by file");
+    }
+
+    /**
+     * Define a counter
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     */
+    defineCounter(name, help) {
+        if (!this.counters.has(name)) {
+            this.counters.set(name, { help, values: new Map() });
+        }
+    }
+
+    /**
+     * Increment a counter
+     * @param {string} name - Metric name
+     * @param {Object} labels - Label values
+     * @param {number} value - Amount to add (default 1)
+     */
+    increment(name, labels = {}, value = 1) {
+        const counter = this.counters.get(name);
+        if (!counter) {
+            throw new Error(`Unknown metric: ${name}. Available metrics: ${[...this.counters.keys()].join(", ")}`);
+        }
+
+        const key = JSON.stringify(labels);
+        const entry = counter.values.get(key) || { labels, value: 0 };
+        entry.value += value;
+        counter.values.set(key, entry);
+    }
+
+    /**
+     * Count a record written by a logger
+     * @param {string} logger - Logger name
+     * @param {string} level - Record level
+     */
+    recordWritten(logger, level) {
+        this.increment("log_records_total", { logger, level });
+    }
+
+    /**
+     * Count an ERROR (or more severe) record for log_errors_per_minute
+     * Called once per logging call, not once per destination
+     */
+    recordError() {
+        const second = Math.floor(Date.now() / 1000);
+        this.errorSeconds.set(second, (this.errorSeconds.get(second) || 0) + 1);
+        this.pruneErrors(second);
+    }
+
+    /**
+     * Forget error counts older than a minute
+     * @param {number} now - Current Unix second
+     */
+    pruneErrors(now) {
+        for (const second of this.errorSeconds.keys()) {
+            if (second > now - 60) break;
+            this.errorSeconds.delete(second);
+        }
+    }
+
+    /**
+     * Get the number of ERROR (or more severe) records logged in the last 60 seconds
+     * @returns {number} The count
+     */
+    getErrorsPerMinute() {
+        this.pruneErrors(Math.floor(Date.now() / 1000));
+        let total = 0;
+        this.errorSeconds.forEach(count => {
+            total += count;
+        });
+        return total;
+    }
+
+    /**
+     * Count dropped records
+     * @param {string} logger - Logger name
+     * @param {string} reason - Why they were dropped, e.g. "rate_limited" or "queue_full"
+     * @param {number} count - Number of records (default 1)
+     */
+    recordDropped(logger, reason, count = 1) {
+        this.increment("log_records_dropped_total", { logger, reason }, count);
+    }
+
+    /**
+     * Count a failed write
+     * @param {string} logger - Logger name
+     */
+    recordWriteFailure(logger) {
+        this.increment("log_write_failures_total", { logger });
+    }
+
+    /**
+     * Count bytes appended to a log file
+     * @param {string} file - Log file path
+     * @param {number} bytes - Number of bytes
+     */
+    recordBytesWritten(file, bytes) {
+        this.increment("log_file_bytes_written_total", { file }, bytes);
+    }
+
+    /**
+     * Register a callback computing a metric when it is scraped
+     * Several callbacks may share a metric name (e.g. one per DatabaseLogger)
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Function} callback - Returns an array of { labels, value }
+     * @param {string} type - "gauge" (default) or "counter"
+     * @returns {Function} Call to unregister the callback
+     */
+    registerCollector(name, help, callback, type = "gauge") {
+        if (!this.collectors.has(name)) {
+            this.collectors.set(name, { help, type, callbacks: new Set() });
+        }
+        const collector = this.collectors.get(name);
+        collector.callbacks.add(callback);
+
+        return () => {
+            collector.callbacks.delete(callback);
+            if (collector.callbacks.size === 0) {
+                this.collectors.delete(name);
+            }
+        };
+    }
+
+    /**
+     * Escape a label value for the text format
+     * @param {*} value - The label value
+     * @returns {string} The escaped value
+     */
+    static escapeLabel(value) {
+        return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+    }
+
+    /**
+     * Render one sample line
+     * @param {string} name - Metric name
+     * @param {Object} labels - Label values
+     * @param {number} value - Sample value
+     * @returns {string} The sample line
+     */
+    static formatSample(name, labels, value) {
+        const pairs = Object.entries(labels).map(([key, label]) => `${key}="${LogMetrics.escapeLabel(label)}"`);
+        return `${name}${pairs.length > 0 ? `{${pairs.join(",")}}` : ""} ${value}`;
+    }
+
+    /**
+     * Render every metric in the Prometheus text exposition format (version 0.0.4)
+     * @returns {string} The metrics
+     */
+    getMetricsText() {
+        const lines = [];
+        const family = (name, help, type, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            samples.forEach(({ labels, value }) => lines.push(LogMetrics.formatSample(name, labels, value)));
+        };
+
+        this.counters.forEach(({ help, values }, name) => family(name, help, "counter", [...values.values()]));
+        family("log_errors_per_minute", "ERROR and more severe records logged in the last 60 seconds", "gauge", [
+            { labels: {}, value: this.getErrorsPerMinute() }
+        ]);
+
+        this.collectors.forEach(({ help, type, callbacks }, name) => {
+            const samples = [];
+            callbacks.forEach(callback => {
+                try {
+                    samples.push(...callback());
+                } catch (error) {
+                    console.error(`Failed to collect metric ${name}: ${error.message}`);
+                }
+            });
+            family(name, help, type, samples);
+        });
+
+        return `${lines.join("\n")}\n`;
+    }
+
+    /**
+     * Serve the metrics over HTTP for Prometheus to scrape
+     * @param {Object} options - Server options
+     * @param {number} options.port - Port (default 9464, 0 for a random port)
+     * @param {string} options.host - Interface to listen on (default 127.0.0.1, local only)
+     * @param {string} options.path - Metrics path (default "/metrics")
+     * @returns {Promise<http.Server>} The listening server; close() it to stop serving
+     */
+    serve(options = {}) {
+        const { port = 9464, host = "127.0.0.1", path = "/metrics" } = options;
+        const server = http.createServer((request, response) => {
+            if (request.method !== "GET" || request.url.split("?")[0] !== path) {
+                response.writeHead(404, { "Content-Type": "text/plain" });
+                response.end("Not found\n");
+                return;
+            }
+            response.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+            response.end(this.getMetricsText());
+        });
+
+        return new Promise((resolve, reject) => {
+            server.once("error", reject);
+            server.listen(port, host, () => {
+                server.off("error", reject);
+                resolve(server);
+            });
+        });
+    }
+
+    /**
+     * Reset every counter (collectors stay registered)
+     */
+    reset() {
+        this.counters.forEach(counter => counter.values.clear());
+        this.errorSeconds.clear();
+    }
+}
+
+// Export a single instance so every logger reports to the same registry
+export default new LogMetrics();
@@ -0,0 +1,224 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import LogRotator from "./LogRotator.js";
+import { LevelSeverity } from "./LogLevels.js";
+
+/**
+ * LogParser - reads log files back into records
+ *
+ * Understands the formats this repository writes:
+ *   text      [ts] [LEVEL] [logger] message {"meta":"json"}   (TextFormatter)
+ *   singleton [ts] [LEVEL] message                            (singlton/logger.js)
+ *   legacy    [ts] ERROR: message                             (older singleton files)
+ *   json      {"timestamp":...,"level":...,"message":...}     (JsonFormatter, JsonlLogStore)
+ * Indented lines following a text record (error stacks) are attached to it as `stack`.
+ * File headers ("=== Log started at ... ===") and other unrecognized lines are skipped.
+ *
+ * Parsed records have the same shape as the records loggers produce:
+ * { timestamp: Date, level, logger, message, meta }, plus `stack` and the raw `line`.
+ */
+class LogParser {
+    /**
+     * [ts] [LEVEL] rest
+     */
+    static TEXT_LINE = /^\[(\d{4}-\d{2}-\d{2}T[^\]]+)\] \[([A-Za-z][A-Za-z0-9_]*)\] ?(.*)$/;
+
+    /**
+     * [ts] LEVEL: message, or [ts] message
+     */
+    static LEGACY_LINE = /^\[(\d{4}-\d{2}-\d{2}T[^\]]+)\] (?:([A-Z][A-Z0-9_]*): )?(.*)$/;
+
+    /**
+     * Parse a single line
+     * @param {string} line - The line
+     * @returns {Object|null} The record, or null if the line is not a record
+     */
+    parseLine(line) {
+        if (line.startsWith("{")) {
+            return this.parseJsonLine(line);
+        }
+
+        const text = LogParser.TEXT_LINE.exec(line);
+        if (text) {
+            const [, timestamp, level, rest] = text;
+            const named = /^\[([^\]\s]+)\] ?(.*)$/.exec(rest);
+            const { message, meta } = this.splitMeta(named ? named[2] : rest);
+            return this.createRecord(timestamp, level, named ? named[1] : null, message, meta, line);
+        }
+
+        const legacy = LogParser.LEGACY_LINE.exec(line);
+        if (legacy) {
+            const [, timestamp, level, message] = legacy;
+            return this.createRecord(timestamp, level || "INFO", null, message, {}, line);
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a JSON line written by JsonFormatter or JsonlLogStore
+     * @param {string} line - The line
+     * @returns {Object|null} The record, or null if the line is not a log record
+     */
+    parseJsonLine(line) {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            return null;
+        }
+        if (!entry || !entry.timestamp || !entry.level) {
+            return null;
+        }
+        return this.createRecord(entry.timestamp, entry.level, entry.logger || null, entry.message, entry.meta || entry.metadata || {}, line);
+    }
+
+    /**
+     * Split trailing metadata JSON from a text message
+     * @param {string} text - "message {"key":"value"}"
+     * @returns {Object} { message, meta }
+     */
+    splitMeta(text) {
+        if (text.endsWith("}")) {
+            for (let index = text.indexOf(" {"); index !== -1; index = text.indexOf(" {", index + 1)) {
+                try {
+                    const meta = JSON.parse(text.slice(index + 1));
+                    if (meta && typeof meta === "object") {
+                        return { message: text.slice(0, index), meta };
+                    }
+                } catch {
+                    // Not the start of the metadata, keep looking
+                }
+            }
+        }
+        return { message: text, meta: {} };
+    }
+
+    /**
+     * Build a record from parsed fields
+     * @param {string} timestamp - ISO timestamp
+     * @param {string} level - Level name
+     * @param {string|null} logger - Logger name (null for the singleton formats)
+     * @param {string} message - The message
+     * @param {Object} meta - Metadata
+     * @param {string} line - The raw line
+     * @returns {Object|null} The record, or null if the timestamp is invalid
+     */
+    createRecord(timestamp, level, logger, message, meta, line) {
+        const date = new Date(timestamp);
+        if (Number.isNaN(date.getTime())) {
+            return null;
+        }
+        return { timestamp: date, level: String(level).toUpperCase(), logger, message: String(message), meta, stack: null, line };
+    }
+
+    /**
+     * Check whether a line continues a text record (an indented error stack line)
+     * @param {Object} record - The record read before the line
+     * @param {string} line - The line
+     * @returns {boolean} True if the line belongs to the record's stack
+     */
+    isContinuation(record, line) {
+        return /^\s+\S/.test(line) && !record.line.startsWith("{");
+    }
+
+    /**
+     * Attach a continuation line to a record's stack
+     * @param {Object} record - The record
+     * @param {string} line - The stack line
+     */
+    appendStack(record, line) {
+        record.stack = record.stack ? `${record.stack}\n${line}` : line;
+    }
+
+    /**
+     * Parse the contents of a log file
+     * @param {string} content - File contents
+     * @returns {Array<Object>} The records, in file order
+     */
+    parse(content) {
+        const records = [];
+        let previous = null;
+
+        for (const line of content.split(/\r?\n/)) {
+            const record = this.parseLine(line);
+            if (record) {
+                records.push(record);
+                previous = record;
+            } else if (previous && this.isContinuation(previous, line)) {
+                this.appendStack(previous, line);
+            } else {
+                previous = null;
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Read a log file, decompressing .gz archives
+     * @param {string} file - Path to the file
+     * @returns {string} The file contents
+     */
+    readFile(file) {
+        const data = fs.readFileSync(file);
+        return file.endsWith(".gz") ? zlib.gunzipSync(data).toString("utf8") : data.toString("utf8");
+    }
+
+    /**
+     * Parse a log file
+     * @param {string} file - Path to the file (.gz archives are decompressed)
+     * @returns {Array<Object>} The records, in file order
+     */
+    parseFile(file) {
+        return this.parse(this.readFile(file));
+    }
+
+    /**
+     * List a log file together with its rotated archives, oldest first
+     * Archives are found with LogRotator's naming (app.log.1, app.log.2025-01-01, ... and .gz)
+     * @param {string} file - Path to the active log file
+     * @returns {Array<string>} Archive paths followed by the file itself (if it exists)
+     */
+    listWithArchives(file) {
+        const rotator = new LogRotator(path.resolve(file));
+        const archives = rotator.listArchives()
+            .sort((a, b) => (rotator.getArchiveRank(a) < rotator.getArchiveRank(b) ? -1 : 1));
+        return fs.existsSync(file) ? [...archives, path.resolve(file)] : archives;
+    }
+
+    /**
+     * Check whether a record matches a filter
+     * @param {Object} record - The record
+     * @param {Object} filter - The filter
+     * @param {Date} filter.from - Earliest timestamp (inclusive)
+     * @param {Date} filter.to - Latest timestamp (inclusive)
+     * @param {string|Array<string>} filter.level - A minimum level, or an array of exact levels
+     * @param {string|Array<string>} filter.logger - Logger name(s)
+     * @param {RegExp} filter.pattern - Tested against the raw line and the stack
+     * @returns {boolean} True if the record matches
+     */
+    static matches(record, filter = {}) {
+        if (filter.from && record.timestamp < filter.from) return false;
+        if (filter.to && record.timestamp > filter.to) return false;
+
+        if (Array.isArray(filter.level)) {
+            if (!filter.level.map(level => level.toUpperCase()).includes(record.level)) return false;
+        } else if (filter.level) {
+            const threshold = filter.level.toUpperCase();
+            const known = record.level in LevelSeverity && threshold in LevelSeverity;
+            if (known ? LevelSeverity[record.level] < LevelSeverity[threshold] : record.level !== threshold) return false;
+        }
+
+        if (filter.logger && ![].concat(filter.logger).includes(record.logger)) return false;
+
+        if (filter.pattern && !filter.pattern.test(record.line) && !(record.stack && filter.pattern.test(record.stack))) {
+            return false;
+        }
+
+        return true;
+    }
+}
+
+export default LogParser;
@@ -0,0 +1,150 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import zlib from "zlib";
+import { Readable } from "stream";
+import LogParser from "./LogParser.js";
+
+/**
+ * LogReader - reads a log file as an object-mode stream of parsed records
+ *
+ * Records have the shape produced by LogParser ({ timestamp, level, logger, message,
+ * meta, stack, line }), so anything that consumes logger records can consume a file:
+ *
+ *   for await (const record of new LogReader("app.log", { filter: { level: "WARN" } })) { ... }
+ *   new LogReader("app.log").pipe(transform)
+ *
+ * The file is read line by line (.gz archives are decompressed on the fly), so large
+ * files are never loaded whole, and reading pauses while the consumer is busy.
+ */
+class LogReader extends Readable {
+    /**
+     * @param {string} file - Path to the log file
+     * @param {Object} options - Reader options
+     * @param {Object} options.filter - Only emit matching records (see LogParser.matches: from, to, level, logger, pattern)
+     * @param {boolean} options.rotated - Read the file's rotated archives first, oldest first
+     * @param {LogParser} options.parser - Parser to use (default: a new LogParser)
+     * @param {number} options.highWaterMark - Records buffered ahead of the consumer (default 64)
+     */
+    constructor(file, options = {}) {
+        super({ objectMode: true, highWaterMark: options.highWaterMark || 64 });
+        this.parser = options.parser || new LogParser();
+        this.filter = options.filter || null;
+        this.files = options.rotated ? this.parser.listWithArchives(file) : [path.resolve(file)];
+        if (this.files.length === 0) {
+            this.files = [path.resolve(file)]; // Reading reports the missing file
+        }
+
+        this.input = null; // Stream of the file being read
+        this.lines = null; // Async iterator over its lines
+        this.pending = null; // Last record read; stack lines may still follow
+        this.ready = []; // Completed records not yet pushed
+        this.reading = false;
+        this.readAgain = false;
+    }
+
+    _read() {
+        if (this.reading) {
+            // Asked for more before the previous pushRecords() settled: continue afterwards
+            this.readAgain = true;
+            return;
+        }
+        this.reading = true;
+        this.pushRecords()
+            .catch(error => this.destroy(error))
+            .finally(() => {
+                this.reading = false;
+                if (this.readAgain) {
+                    this.readAgain = false;
+                    this._read();
+                }
+            });
+    }
+
+    /**
+     * Push records until the consumer's buffer is full or the files are exhausted
+     * @returns {Promise<void>}
+     */
+    async pushRecords() {
+        for (;;) {
+            const record = await this.nextRecord();
+            if (record === null) {
+                this.push(null);
+                return;
+            }
+            if (!this.push(record)) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Read the next complete record that passes the filter
+     * @returns {Promise<Object|null>} The record, or null after the last file
+     */
+    async nextRecord() {
+        while (this.ready.length === 0) {
+            if (!this.lines) {
+                if (this.files.length === 0) {
+                    return null;
+                }
+                this.open(this.files.shift());
+            }
+
+            const { value: line, done } = await this.lines.next();
+            if (done) {
+                // Stack lines never continue into the next file
+                this.complete(this.pending);
+                this.pending = null;
+                this.lines = null;
+                this.input = null;
+                continue;
+            }
+
+            const record = this.parser.parseLine(line);
+            if (record) {
+                this.complete(this.pending);
+                this.pending = record;
+            } else if (this.pending && this.parser.isContinuation(this.pending, line)) {
+                this.parser.appendStack(this.pending, line);
+            } else {
+                this.complete(this.pending);
+                this.pending = null;
+            }
+        }
+        return this.ready.shift();
+    }
+
+    /**
+     * Queue a finished record if it passes the filter
+     * @param {Object|null} record - The record
+     */
+    complete(record) {
+        if (record && (!this.filter || LogParser.matches(record, this.filter))) {
+            this.ready.push(record);
+        }
+    }
+
+    /**
+     * Start reading a file
+     * @param {string} file - Path to the file
+     */
+    open(file) {
+        const input = fs.createReadStream(file);
+        const source = file.endsWith(".gz") ? input.pipe(zlib.createGunzip()) : input;
+        if (source !== input) {
+            input.on("error", error => source.destroy(error));
+        }
+        this.input = source;
+        this.lines = readline.createInterface({ input: source, crlfDelay: Infinity })[Symbol.asyncIterator]();
+    }
+
+    _destroy(error, callback) {
+        if (this.input) {
+            this.input.destroy();
+        }
+        callback(error);
+    }
+}
+
+export default LogReader;
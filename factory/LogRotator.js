@@ -0,0 +1,326 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { pipeline } from "stream/promises";
+
+/**
+ * LogRotator - rotates a log file by size and/or time and applies a retention policy
+ * Used by FileLogger; the active file is moved away synchronously, between writes
+ *
+ * Archive names:
+ *   numbered: app.log.1 (newest), app.log.2, ... - older archives are shifted up
+ *   dated:    app.log.2024-01-01 (daily) or app.log.2024-01-01T13 (hourly),
+ *             with a .1, .2, ... suffix when a period is rotated more than once
+ * Rotated files get a .gz extension when compression is enabled. Compression runs in the
+ * background with streams so logging is not blocked: the active file is first renamed to
+ * app.log.rotating-<n>, then gzipped, and the archive is put in place (shifting numbered
+ * archives, applying retention) once it is complete. Archives are placed one at a time, in
+ * rotation order; files left pending by a crash are compressed when the rotator starts.
+ */
+class LogRotator {
+    /**
+     * Rotation intervals enum
+     */
+    static Intervals = {
+        DAILY: "daily",
+        HOURLY: "hourly"
+    };
+
+    /**
+     * Archive naming schemes enum
+     */
+    static Naming = {
+        NUMBERED: "numbered",
+        DATED: "dated"
+    };
+
+    /**
+     * @param {string} logFile - Absolute path of the active log file
+     * @param {Object} options - Rotation options
+     * @param {number|string} options.maxSize - Rotate once the file would exceed this size (bytes or "10K", "5M", "1G")
+     * @param {string} options.interval - Rotate when the day or hour changes ("daily" or "hourly")
+     * @param {string} options.naming - Archive naming scheme ("numbered" or "dated", default "numbered")
+     * @param {boolean} options.compress - Gzip rotated files
+     * @param {number} options.maxFiles - Keep at most this many archives
+     * @param {number} options.maxAgeDays - Delete archives older than this many days
+     */
+    constructor(logFile, options = {}) {
+        this.logFile = logFile;
+        this.maxSize = LogRotator.parseSize(options.maxSize);
+        this.interval = options.interval ? LogRotator.validate("interval", options.interval, LogRotator.Intervals) : null;
+        this.naming = LogRotator.validate("naming", options.naming || LogRotator.Naming.NUMBERED, LogRotator.Naming);
+        this.compress = Boolean(options.compress);
+        this.maxFiles = options.maxFiles || 0;
+        this.maxAgeDays = options.maxAgeDays || 0;
+
+        const stats = fs.existsSync(logFile) ? fs.statSync(logFile) : null;
+        this.currentSize = stats ? stats.size : 0;
+        this.periodStart = this.getPeriodKey(stats ? stats.mtime : new Date());
+
+        this.pendingCount = 0;
+        this.compression = Promise.resolve(); // Archives being compressed, in rotation order
+        if (this.compress) {
+            this.resumePending();
+        }
+    }
+
+    /**
+     * Check that an option value is one of the allowed values
+     * @param {string} option - The option name
+     * @param {string} value - The option value
+     * @param {Object} allowed - Enum of allowed values
+     * @returns {string} The lower-case value
+     */
+    static validate(option, value, allowed) {
+        const normalized = String(value).toLowerCase();
+        if (!Object.values(allowed).includes(normalized)) {
+            throw new Error(`Invalid rotation ${option}: ${value}. Expected one of: ${Object.values(allowed).join(", ")}`);
+        }
+        return normalized;
+    }
+
+    /**
+     * Parse a size such as 1048576, "512K", "10M" or "1G" into bytes
+     * @param {number|string} size - The size to parse
+     * @returns {number} Size in bytes (0 when not set)
+     */
+    static parseSize(size) {
+        if (size === undefined || size === null) return 0;
+        if (typeof size === "number") return size;
+
+        const match = /^(\d+(?:\.\d+)?)\s*([KMG]?)B?$/i.exec(String(size).trim());
+        if (!match) {
+            throw new Error(`Invalid rotation maxSize: ${size}`);
+        }
+        const units = { "": 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+        return Math.floor(parseFloat(match[1]) * units[match[2].toUpperCase()]);
+    }
+
+    /**
+     * Get the key of the rotation period a date falls in
+     * @param {Date} date - The date
+     * @returns {string} "YYYY-MM-DD" or "YYYY-MM-DDTHH"
+     */
+    getPeriodKey(date) {
+        const iso = date.toISOString();
+        return this.interval === LogRotator.Intervals.HOURLY ? iso.slice(0, 13) : iso.slice(0, 10);
+    }
+
+    /**
+     * Check whether the file must be rotated before writing more bytes
+     * @param {number} bytes - Number of bytes about to be written
+     * @returns {boolean} True if the file should be rotated first
+     */
+    shouldRotate(bytes = 0) {
+        if (this.currentSize === 0) {
+            return false;
+        }
+        if (this.maxSize && this.currentSize + bytes > this.maxSize) {
+            return true;
+        }
+        return Boolean(this.interval) && this.getPeriodKey(new Date()) !== this.periodStart;
+    }
+
+    /**
+     * Record bytes appended to the active file
+     * @param {number} bytes - Number of bytes written
+     */
+    recordWrite(bytes) {
+        this.currentSize += bytes;
+    }
+
+    /**
+     * Move the active file to an archive and apply retention
+     * The caller is responsible for creating the new active file. Without compression the
+     * archive is in place when this returns; with compression it is placed once gzipped.
+     * @returns {Promise<string|null>} Path of the archive once it is in place, or null if there was nothing to rotate
+     */
+    rotate() {
+        if (!fs.existsSync(this.logFile)) {
+            return Promise.resolve(null);
+        }
+
+        const period = this.periodStart;
+        const target = this.compress
+            ? `${this.logFile}.rotating-${Date.now()}-${String(this.pendingCount++).padStart(6, "0")}`
+            : this.nextArchive(period);
+        fs.renameSync(this.logFile, target);
+        this.currentSize = 0;
+        this.periodStart = this.getPeriodKey(new Date());
+
+        if (this.compress) {
+            return this.queueCompression(target, period);
+        }
+        this.applyRetention();
+        return Promise.resolve(target);
+    }
+
+    /**
+     * Compress a pending file after the archives queued before it
+     * @param {string} pending - The renamed active file
+     * @param {string} period - Period key of the rotated file, for dated names
+     * @returns {Promise<string>} Path of the compressed archive
+     */
+    queueCompression(pending, period) {
+        const archive = this.compression.then(() => this.compressArchive(pending, period));
+        this.compression = archive.catch(() => {});
+        return archive;
+    }
+
+    /**
+     * Gzip a pending file with streams and put the archive in place
+     * @param {string} pending - The renamed active file
+     * @param {string} period - Period key of the rotated file
+     * @returns {Promise<string>} Path of the compressed archive
+     */
+    async compressArchive(pending, period) {
+        const compressed = `${pending}.gz`;
+        let archive;
+        try {
+            await pipeline(fs.createReadStream(pending), zlib.createGzip(), fs.createWriteStream(compressed));
+            archive = `${this.nextArchive(period)}.gz`;
+            fs.renameSync(compressed, archive);
+        } catch (error) {
+            // The pending file is kept and compressed again on the next start
+            fs.rmSync(compressed, { force: true });
+            throw error;
+        }
+
+        fs.unlinkSync(pending);
+        this.applyRetention();
+        return archive;
+    }
+
+    /**
+     * Queue the files a previous process left pending (it stopped while compressing)
+     */
+    resumePending() {
+        const dir = path.dirname(this.logFile);
+        const prefix = `${path.basename(this.logFile)}.rotating-`;
+        const names = fs.readdirSync(dir).filter(name => name.startsWith(prefix));
+
+        names.filter(name => name.endsWith(".gz")).forEach(name => fs.rmSync(path.join(dir, name), { force: true }));
+        names.filter(name => !name.endsWith(".gz")).sort().forEach(name => {
+            const pending = path.join(dir, name);
+            this.queueCompression(pending, this.getPeriodKey(fs.statSync(pending).mtime))
+                .catch(error => console.error(`Failed to compress log archive ${pending}: ${error.message}`));
+        });
+    }
+
+    /**
+     * Wait until every queued archive is compressed and in place
+     * @returns {Promise<void>}
+     */
+    whenIdle() {
+        return this.compression;
+    }
+
+    /**
+     * Get the archive path for a rotated file, making room for it
+     * @param {string} period - Period key of the rotated file, for dated names
+     * @returns {string} The archive path (without .gz)
+     */
+    nextArchive(period) {
+        return this.naming === LogRotator.Naming.DATED
+            ? this.nextDatedArchive(period)
+            : this.shiftNumberedArchives();
+    }
+
+    /**
+     * Find a free dated archive name for a period
+     * @param {string} period - Period key of the rotated file
+     * @returns {string} The archive path (without .gz)
+     */
+    nextDatedArchive(period) {
+        const base = `${this.logFile}.${period}`;
+        const existing = this.listArchives()
+            .map(file => file.replace(/\.gz$/, ""))
+            .filter(file => file === base || file.startsWith(`${base}.`));
+
+        if (existing.length === 0) {
+            return base;
+        }
+
+        // Continue after the highest counter so names keep increasing even after retention deletes some
+        const counters = existing.map(file => (file === base ? 0 : parseInt(file.slice(base.length + 1), 10)));
+        return `${base}.${Math.max(...counters) + 1}`;
+    }
+
+    /**
+     * Shift numbered archives up by one (app.log.1 -> app.log.2, ...)
+     * Archives beyond maxFiles are deleted instead of shifted
+     * @returns {string} The path for the newest archive (app.log.1)
+     */
+    shiftNumberedArchives() {
+        const numbered = this.listArchives()
+            .map(file => ({ file, match: /\.(\d+)(\.gz)?$/.exec(file) }))
+            .filter(({ file, match }) => match && path.basename(file) === `${path.basename(this.logFile)}.${match[1]}${match[2] || ""}`)
+            .map(({ file, match }) => ({ file, index: parseInt(match[1], 10), ext: match[2] || "" }))
+            .sort((a, b) => b.index - a.index);
+
+        for (const { file, index, ext } of numbered) {
+            if (this.maxFiles && index >= this.maxFiles) {
+                fs.unlinkSync(file);
+            } else {
+                fs.renameSync(file, `${this.logFile}.${index + 1}${ext}`);
+            }
+        }
+
+        return `${this.logFile}.1`;
+    }
+
+    /**
+     * List the archives that belong to the active file
+     * @returns {Array<string>} Absolute archive paths
+     */
+    listArchives() {
+        const dir = path.dirname(this.logFile);
+        const prefix = `${path.basename(this.logFile)}.`;
+        const suffix = /^(\d+|\d{4}-\d{2}-\d{2}(T\d{2})?(\.\d+)?)(\.gz)?$/;
+
+        return fs.readdirSync(dir)
+            .filter(name => name.startsWith(prefix) && suffix.test(name.slice(prefix.length)))
+            .map(name => path.join(dir, name));
+    }
+
+    /**
+     * Get a sortable rank for an archive name, higher meaning newer
+     * Used to order archives rotated within the same millisecond
+     * @param {string} file - The archive path
+     * @returns {string} The rank
+     */
+    getArchiveRank(file) {
+        const suffix = path.basename(file).slice(path.basename(this.logFile).length + 1).replace(/\.gz$/, "");
+        if (/^\d+$/.test(suffix)) {
+            // Numbered: app.log.1 is the newest
+            return String(Number.MAX_SAFE_INTEGER - parseInt(suffix, 10)).padStart(16, "0");
+        }
+        // Dated: later periods and higher counters are newer
+        const [stamp, counter = "0"] = suffix.split(/\.(?=\d+$)/);
+        return `${stamp}.${counter.padStart(6, "0")}`;
+    }
+
+    /**
+     * Delete archives beyond maxFiles (newest kept) and older than maxAgeDays
+     */
+    applyRetention() {
+        if (!this.maxFiles && !this.maxAgeDays) {
+            return;
+        }
+
+        const cutoff = Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000;
+        const archives = this.listArchives()
+            .map(file => ({ file, mtime: fs.statSync(file).mtimeMs, rank: this.getArchiveRank(file) }))
+            .sort((a, b) => b.mtime - a.mtime || (a.rank < b.rank ? 1 : a.rank > b.rank ? -1 : 0));
+
+        archives.forEach(({ file, mtime }, index) => {
+            const tooMany = this.maxFiles && index >= this.maxFiles;
+            const tooOld = this.maxAgeDays && mtime < cutoff;
+            if (tooMany || tooOld) {
+                fs.unlinkSync(file);
+            }
+        });
+    }
+}
+
+export default LogRotator;
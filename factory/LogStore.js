@@ -0,0 +1,119 @@
+/**
+ * LogStore - Base class for DatabaseLogger storage engines
+ * Stores log entries and answers queries over them
+ *
+ * A query object may contain:
+ *   from, to       Date or ISO string bounds on the timestamp (inclusive)
+ *   level          A level or array of levels (exact match)
+ *   logger         Logger name (exact match)
+ *   text           Case-insensitive substring of the message
+ *   metadata       Object of field/value pairs that must match; keys may use dot paths ("user.id")
+ *   sort           "asc" (default) or "desc" by timestamp
+ *   limit, offset  Pagination
+ */
+class LogStore {
+    constructor(name = "LogStore") {
+        this.name = name;
+    }
+
+    /**
+     * Save a log entry
+     * @param {Object} entry - The entry without an id
+     * @returns {Object} The saved entry with its id
+     */
+    insert(entry) {
+        throw new Error("Method 'insert()' must be implemented");
+    }
+
+    /**
+     * Find entries matching a query
+     * @param {Object} query - The query
+     * @returns {Array<Object>} Matching entries
+     */
+    query(query = {}) {
+        throw new Error("Method 'query()' must be implemented");
+    }
+
+    /**
+     * Count entries matching a query (ignores limit and offset)
+     * @param {Object} query - The query
+     * @returns {number} Number of matching entries
+     */
+    count(query = {}) {
+        const { limit, offset, ...filter } = query;
+        return this.query(filter).length;
+    }
+
+    /**
+     * Delete all entries
+     */
+    clear() {
+        throw new Error("Method 'clear()' must be implemented");
+    }
+
+    /**
+     * Release resources held by the store
+     */
+    close() {}
+
+    /**
+     * Describe where the store keeps its data
+     * @returns {string} Connection string
+     */
+    getConnectionString() {
+        return `${this.name}://`;
+    }
+
+    /**
+     * Check whether an entry matches the filter part of a query
+     * Shared by the stores that filter in JavaScript
+     * @param {Object} entry - The entry
+     * @param {Object} query - The query
+     * @returns {boolean} True if the entry matches
+     */
+    static matches(entry, query = {}) {
+        const time = new Date(entry.timestamp).getTime();
+        if (query.from && time < new Date(query.from).getTime()) return false;
+        if (query.to && time > new Date(query.to).getTime()) return false;
+
+        if (query.level) {
+            const levels = [].concat(query.level).map(level => String(level).toUpperCase());
+            if (!levels.includes(entry.level)) return false;
+        }
+
+        if (query.logger && entry.logger !== query.logger) return false;
+
+        if (query.text && !String(entry.message).toLowerCase().includes(String(query.text).toLowerCase())) {
+            return false;
+        }
+
+        if (query.metadata) {
+            for (const [key, expected] of Object.entries(query.metadata)) {
+                const actual = key.split(".").reduce((value, part) => (value == null ? undefined : value[part]), entry.metadata);
+                if (actual !== expected) return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Filter, sort and paginate an array of entries
+     * @param {Array<Object>} entries - All entries, in insertion order
+     * @param {Object} query - The query
+     * @returns {Array<Object>} The requested page of matching entries
+     */
+    static apply(entries, query = {}) {
+        const matching = entries.filter(entry => LogStore.matches(entry, query));
+
+        matching.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp) || a.id - b.id);
+        if (String(query.sort).toLowerCase() === "desc") {
+            matching.reverse();
+        }
+
+        const offset = query.offset || 0;
+        return query.limit ? matching.slice(offset, offset + query.limit) : matching.slice(offset);
+    }
+}
+
+export default LogStore;
@@ -0,0 +1,80 @@
+import { Writable } from "stream";
+import { StringDecoder } from "string_decoder";
+import { normalizeLevel } from "./LogLevels.js";
+
+/**
+ * LogWritable - a Writable stream that logs every line written to it
+ * Returned by logger.stream(level), e.g. to capture a subprocess:
+ *
+ *   child.stdout.pipe(logger.stream("info", { meta: { source: "worker" } }));
+ *   child.stderr.pipe(logger.stream("warn", { meta: { source: "worker" } }));
+ *
+ * Chunks are decoded as UTF-8 (characters split across chunks are kept intact)
+ * and split on \n or \r\n. A trailing partial line waits for the next chunk and is
+ * logged when the stream ends. Ending the stream does not close the logger.
+ */
+class LogWritable extends Writable {
+    /**
+     * @param {BaseLogger} logger - The logger receiving the lines
+     * @param {string} level - Level of the records
+     * @param {Object} options - Stream options
+     * @param {Object} options.meta - Metadata added to every record
+     * @param {boolean} options.skipEmpty - Ignore blank lines (default true)
+     * @param {number} options.maxLineLength - Longer lines are logged in pieces of this many characters (default 65536)
+     */
+    constructor(logger, level, options = {}) {
+        super({ decodeStrings: true });
+        this.logger = logger;
+        this.level = normalizeLevel(level);
+        this.meta = options.meta || {};
+        this.skipEmpty = options.skipEmpty !== false;
+        this.maxLineLength = options.maxLineLength || 65536;
+        this.decoder = new StringDecoder("utf8");
+        this.partial = "";
+        this.lines = 0;
+    }
+
+    _write(chunk, encoding, callback) {
+        this.consume(this.decoder.write(chunk));
+        callback();
+    }
+
+    _final(callback) {
+        this.consume(this.decoder.end());
+        if (this.partial) {
+            this.logLine(this.partial);
+            this.partial = "";
+        }
+        callback();
+    }
+
+    /**
+     * Log the complete lines of decoded text and keep the rest
+     * @param {string} text - Decoded text
+     */
+    consume(text) {
+        const lines = (this.partial + text).split("\n");
+        this.partial = lines.pop();
+        lines.forEach(line => this.logLine(line.endsWith("\r") ? line.slice(0, -1) : line));
+
+        while (this.partial.length > this.maxLineLength) {
+            this.logLine(this.partial.slice(0, this.maxLineLength));
+            this.partial = this.partial.slice(this.maxLineLength);
+        }
+    }
+
+    /**
+     * Log one line
+     * @param {string} line - The line
+     */
+    logLine(line) {
+        if (this.skipEmpty && line.trim() === "") {
+            return;
+        }
+        this.lines++;
+        // Passed as a thunk so a "%" in the output is never read as a template placeholder
+        this.logger.logAt(this.level, () => line, this.meta);
+    }
+}
+
+export default LogWritable;
@@ -0,0 +1,51 @@
+import LogFormatter from "./LogFormatter.js";
+import { safeStringify } from "./SafeJson.js";
+
+/**
+ * LogfmtFormatter - key=value pairs in logfmt style
+ * Produces lines like: ts=2024-01-01T00:00:00.000Z level=info logger=FileLogger msg="hello world"
+ * Metadata fields follow the core fields; object values are JSON-encoded.
+ * A metadata key that clashes with a core field is written as meta_<key> instead.
+ */
+class LogfmtFormatter extends LogFormatter {
+    constructor() {
+        super("logfmt");
+    }
+
+    /**
+     * Quote a value when it contains spaces, quotes, '=' or control characters
+     * @param {*} value - The value to encode
+     * @returns {string} The logfmt-safe value
+     */
+    encodeValue(value) {
+        const str = typeof value === "object" && value !== null ? safeStringify(value) : String(value);
+        if (str === "" || /[\s"=\\]/.test(str)) {
+            const escaped = str
+                .replace(/\\/g, "\\\\")
+                .replace(/"/g, '\\"')
+                .replace(/\n/g, "\\n")
+                .replace(/\r/g, "\\r")
+                .replace(/\t/g, "\\t");
+            return `"${escaped}"`;
+        }
+        return str;
+    }
+
+    format(record) {
+        const pairs = {
+            ts: record.timestamp.toISOString(),
+            level: record.level.toLowerCase(),
+            logger: record.logger,
+            msg: record.message
+        };
+        for (const [key, value] of Object.entries(record.meta || {})) {
+            pairs[Object.hasOwn(pairs, key) ? `meta_${key}` : key] = value;
+        }
+
+        return Object.entries(pairs)
+            .map(([key, value]) => `${key}=${this.encodeValue(value)}`)
+            .join(" ");
+    }
+}
+
+export default LogfmtFormatter;
@@ -0,0 +1,243 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Writable } from "stream";
+import ConsoleLogger from "./ConsoleLogger.js";
+import FileLogger from "./FileLogger.js";
+import DatabaseLogger from "./DatabaseLogger.js";
+import CompositeLogger from "./CompositeLogger.js";
+import ThreadedLogger from "./ThreadedLogger.js";
+
+/**
+ * LoggerBenchmark - measures throughput and per-call latency of loggers
+ *
+ * Each scenario creates a logger, makes `warmup` calls that are not measured,
+ * then times `iterations` calls one by one. Throughput includes the final flush(),
+ * so buffered loggers are charged for the writes they defer; latency percentiles
+ * only cover the calls themselves. Console output goes to a discarding stream and
+ * files to a temporary directory, so the results measure the loggers, not the terminal.
+ *
+ * Results can be saved as JSON and compared against a baseline with compare().
+ */
+class LoggerBenchmark {
+    /**
+     * Metadata logged with every measured record
+     */
+    static SAMPLE_META = { requestId: "req-42", userId: 1001, status: 200, durationMs: 12.5 };
+
+    /**
+     * State dumped by the debug scenarios, large enough that stringifying it shows up
+     */
+    static SAMPLE_STATE = {
+        users: Array.from({ length: 20 }, (_, id) => ({ id, name: `user-${id}`, roles: ["reader", "writer"] })),
+        cache: { hits: 1200, misses: 34, size: 512 }
+    };
+
+    /**
+     * @param {Object} options - Benchmark options
+     * @param {number} options.iterations - Measured calls per scenario (default 10000)
+     * @param {number} options.warmup - Unmeasured calls before measuring (default 1000)
+     * @param {string} options.directory - Directory for log files (default: a new temporary directory, removed afterwards)
+     */
+    constructor(options = {}) {
+        this.iterations = options.iterations || 10000;
+        this.warmup = options.warmup === undefined ? 1000 : options.warmup;
+        this.directory = options.directory || null;
+        this.ownsDirectory = !options.directory;
+        this.scenarios = new Map();
+        LoggerBenchmark.addDefaultScenarios(this);
+    }
+
+    /**
+     * Create a stream that discards everything written to it
+     * @returns {Writable} The stream
+     */
+    static createNullStream() {
+        return new Writable({
+            write(chunk, encoding, callback) {
+                callback();
+            }
+        });
+    }
+
+    /**
+     * Register the built-in scenarios
+     * @param {LoggerBenchmark} benchmark - The benchmark
+     */
+    static addDefaultScenarios(benchmark) {
+        const meta = LoggerBenchmark.SAMPLE_META;
+        const state = LoggerBenchmark.SAMPLE_STATE;
+        const consoleLogger = () => new ConsoleLogger({ stream: LoggerBenchmark.createNullStream(), colors: false });
+        const fileLogger = (name, options = {}) => new FileLogger(path.join(benchmark.getDirectory(), name), options);
+        const databaseLogger = () => new DatabaseLogger({ verbose: false });
+        const debugOff = () => new ConsoleLogger({ stream: LoggerBenchmark.createNullStream(), level: "INFO" });
+
+        benchmark.addScenario("console", "ConsoleLogger, pretty text to a discarding stream",
+            consoleLogger, (logger, i) => logger.info("Request handled", { ...meta, i }));
+        benchmark.addScenario("console-json", "ConsoleLogger, JSON format",
+            () => new ConsoleLogger({ stream: LoggerBenchmark.createNullStream(), format: "json" }),
+            (logger, i) => logger.info("Request handled", { ...meta, i }));
+        benchmark.addScenario("file", "FileLogger, buffered writes",
+            () => fileLogger("buffered.log"), (logger, i) => logger.info("Request handled", { ...meta, i }));
+        benchmark.addScenario("file-sync", "FileLogger, synchronous appends",
+            () => fileLogger("sync.log", { sync: true }), (logger, i) => logger.info("Request handled", { ...meta, i }));
+        benchmark.addScenario("database", "DatabaseLogger, memory store",
+            databaseLogger, (logger, i) => logger.info("Request handled", { ...meta, i }));
+        benchmark.addScenario("composite", "CompositeLogger of console, buffered file and database",
+            () => new CompositeLogger([consoleLogger(), fileLogger("composite.log"), databaseLogger()]),
+            (logger, i) => logger.info("Request handled", { ...meta, i }));
+        benchmark.addScenario("threaded", "ThreadedLogger, buffered file written by the worker",
+            () => new ThreadedLogger({ target: { type: "file", filename: path.join(benchmark.getDirectory(), "threaded.log") } }),
+            (logger, i) => logger.info("Request handled", { ...meta, i }));
+        benchmark.addScenario("debug-off-eager", "Disabled DEBUG call building its message eagerly",
+            debugOff, logger => logger.debug(`State: ${JSON.stringify(state)}`));
+        benchmark.addScenario("debug-off-thunk", "Disabled DEBUG call with a thunk",
+            debugOff, logger => logger.debug(() => `State: ${JSON.stringify(state)}`));
+        benchmark.addScenario("debug-off-template", "Disabled DEBUG call with a template",
+            debugOff, logger => logger.debug("State: %j", state, meta));
+    }
+
+    /**
+     * Add a scenario (an existing scenario with the same name is replaced)
+     * @param {string} name - Scenario name
+     * @param {string} description - What the scenario measures
+     * @param {Function} create - Returns the logger to measure
+     * @param {Function} call - Makes one logging call: (logger, iteration) => void
+     * @returns {LoggerBenchmark} this, for chaining
+     */
+    addScenario(name, description, create, call) {
+        this.scenarios.set(name, { name, description, create, call });
+        return this;
+    }
+
+    /**
+     * Get the names of the registered scenarios
+     * @returns {Array<string>} Scenario names
+     */
+    getScenarioNames() {
+        return [...this.scenarios.keys()];
+    }
+
+    /**
+     * Get the directory log files are written to, creating it on first use
+     * @returns {string} The directory
+     */
+    getDirectory() {
+        if (!this.directory) {
+            this.directory = fs.mkdtempSync(path.join(os.tmpdir(), "logger-benchmark-"));
+        }
+        return this.directory;
+    }
+
+    /**
+     * Get a percentile of sorted latencies
+     * @param {Float64Array} sorted - Latencies sorted in ascending order
+     * @param {number} percentile - Percentile (0-100)
+     * @returns {number} The latency
+     */
+    static percentile(sorted, percentile) {
+        const index = Math.min(sorted.length - 1, Math.ceil((percentile / 100) * sorted.length) - 1);
+        return sorted[Math.max(0, index)];
+    }
+
+    /**
+     * Run one scenario
+     * @param {string} name - Scenario name
+     * @returns {Promise<Object>} { name, description, iterations, totalMs, opsPerSec, latency: { mean, p50, p95, p99, max } } (latencies in microseconds)
+     */
+    async runScenario(name) {
+        const scenario = this.scenarios.get(name);
+        if (!scenario) {
+            throw new Error(`Unknown benchmark scenario: ${name}. Available scenarios: ${this.getScenarioNames().join(", ")}`);
+        }
+
+        const logger = scenario.create();
+        try {
+            for (let i = 0; i < this.warmup; i++) {
+                scenario.call(logger, i);
+            }
+            await logger.flush();
+
+            const latencies = new Float64Array(this.iterations);
+            const start = process.hrtime.bigint();
+            for (let i = 0; i < this.iterations; i++) {
+                const callStart = process.hrtime.bigint();
+                scenario.call(logger, i);
+                latencies[i] = Number(process.hrtime.bigint() - callStart) / 1000;
+            }
+            await logger.flush();
+            const totalMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+            latencies.sort();
+            const round = value => Math.round(value * 100) / 100;
+            return {
+                name,
+                description: scenario.description,
+                iterations: this.iterations,
+                totalMs: round(totalMs),
+                opsPerSec: Math.round(this.iterations / (totalMs / 1000)),
+                latency: {
+                    mean: round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length),
+                    p50: round(LoggerBenchmark.percentile(latencies, 50)),
+                    p95: round(LoggerBenchmark.percentile(latencies, 95)),
+                    p99: round(LoggerBenchmark.percentile(latencies, 99)),
+                    max: round(latencies[latencies.length - 1])
+                }
+            };
+        } finally {
+            await logger.close();
+        }
+    }
+
+    /**
+     * Run scenarios one after another
+     * @param {Array<string>} names - Scenarios to run (default: all)
+     * @param {Function} onResult - Optional callback receiving each result as it completes
+     * @returns {Promise<Array<Object>>} The results
+     */
+    async run(names = this.getScenarioNames(), onResult = null) {
+        const results = [];
+        try {
+            for (const name of names) {
+                const result = await this.runScenario(name);
+                results.push(result);
+                if (onResult) {
+                    onResult(result);
+                }
+            }
+        } finally {
+            this.cleanup();
+        }
+        return results;
+    }
+
+    /**
+     * Remove the temporary log directory
+     */
+    cleanup() {
+        if (this.ownsDirectory && this.directory) {
+            fs.rmSync(this.directory, { recursive: true, force: true });
+            this.directory = null;
+        }
+    }
+
+    /**
+     * Compare results against a baseline
+     * @param {Array<Object>} results - Current results
+     * @param {Array<Object>} baseline - Earlier results (scenarios missing from either side are skipped)
+     * @param {number} tolerance - Allowed throughput drop in percent (default 20)
+     * @returns {Array<Object>} { name, opsPerSec, baselineOpsPerSec, change, regressed } per compared scenario, change in percent
+     */
+    static compare(results, baseline, tolerance = 20) {
+        const previous = new Map(baseline.map(result => [result.name, result]));
+        return results
+            .filter(result => previous.has(result.name))
+            .map(result => {
+                const baselineOpsPerSec = previous.get(result.name).opsPerSec;
+                const change = Math.round(((result.opsPerSec - baselineOpsPerSec) / baselineOpsPerSec) * 1000) / 10;
+                return { name: result.name, opsPerSec: result.opsPerSec, baselineOpsPerSec, change, regressed: change < -tolerance };
+            });
+    }
+}
+
+export default LoggerBenchmark;
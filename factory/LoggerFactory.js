@@ -2,88 +2,459 @@ import ConsoleLogger from "./ConsoleLogger.js";
 import FileLogger from "./FileLogger.js";
 import DatabaseLogger from "./DatabaseLogger.js";
 import CompositeLogger from "./CompositeLogger.js";
+import SyslogLogger from "./SyslogLogger.js";
+import HttpLogger from "./HttpLogger.js";
+import ThrottledLogger from "./ThrottledLogger.js";
+import RingBufferLogger from "./RingBufferLogger.js";
+import ThreadedLogger from "./ThreadedLogger.js";
+import AuditFileLogger from "./AuditFileLogger.js";
+import BaseLogger from "./BaseLogger.js";
+import { runWithContext, getContext } from "./LogContext.js";
+import { defineLevel } from "./LogLevels.js";
+import metrics from "./LogMetrics.js";
+import shutdownManager from "./LoggerShutdown.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
 
 /**
  * LoggerFactory - Factory class for creating logger instances
  * This is the Factory in the Factory pattern
+ *
+ * Every logger it creates is tracked and flushed and closed on shutdown: when the
+ * event loop empties, on SIGINT/SIGTERM and on an uncaught exception (see LoggerShutdown).
  */
 class LoggerFactory {
     /**
-     * Logger types enum
+     * Built-in logger types enum
+     * Further types can be added with LoggerFactory.register()
      */
     static LoggerTypes = {
         CONSOLE: "console",
         FILE: "file",
         DATABASE: "database",
-        COMPOSITE: "composite"
+        COMPOSITE: "composite",
+        SYSLOG: "syslog",
+        HTTP: "http",
+        THROTTLED: "throttled",
+        RINGBUFFER: "ringbuffer",
+        THREADED: "threaded",
+        AUDIT: "audit"
     };
 
+    /**
+     * Configuration file holding the environment profiles
+     */
+    static DEFAULT_CONFIG_PATH = path.join(__dirname, "logging.config.json");
+
+    /**
+     * Install the shutdown hooks when a logger is created (see removeShutdownHooks())
+     */
+    static autoShutdownHooks = true;
+
+    /**
+     * Options accepted by every logger type
+     */
+    static CommonOptionsSchema = {
+        format: { type: ["string", "object"] },
+        level: { type: "string" },
+        redact: {
+            type: ["boolean", "object"],
+            properties: {
+                paths: { type: "array" },
+                patterns: { type: "array" },
+                luhn: { type: "boolean" },
+                censor: { type: ["string", "function"] }
+            }
+        }
+    };
+
+    /**
+     * Registered logger types: type -> { create, schema }
+     */
+    static registry = new Map();
+
+    /**
+     * Register a logger type
+     *
+     * The options schema maps option names to { type, enum, required, properties }, where
+     * type is "string", "number", "boolean", "object", "array", "function", "any" or an array of them,
+     * and properties is a nested schema for object options. Options common to all loggers
+     * (format, level, redact) are always accepted. Pass null to skip validation.
+     *
+     * @param {string} type - The logger type name
+     * @param {Function} constructorOrFactory - A BaseLogger subclass (called with `new Class(options)`) or a function returning a logger
+     * @param {Object|null} optionsSchema - Schema of the options accepted by the type
+     */
+    static register(type, constructorOrFactory, optionsSchema = {}) {
+        const key = String(type).toLowerCase();
+        if (this.registry.has(key)) {
+            throw new Error(`Logger type already registered: ${type}`);
+        }
+        if (typeof constructorOrFactory !== "function") {
+            throw new Error(`Logger type ${type} must be registered with a constructor or factory function`);
+        }
+
+        const isClass = constructorOrFactory.prototype instanceof BaseLogger;
+        this.registry.set(key, {
+            create: isClass ? options => new constructorOrFactory(options) : constructorOrFactory,
+            schema: optionsSchema ? { ...LoggerFactory.CommonOptionsSchema, ...optionsSchema } : null
+        });
+    }
+
+    /**
+     * Remove a logger type from the registry
+     * @param {string} type - The logger type name
+     * @returns {boolean} True if the type was registered
+     */
+    static unregister(type) {
+        return this.registry.delete(String(type).toLowerCase());
+    }
+
+    /**
+     * Check whether a logger type is registered
+     * @param {string} type - The logger type name
+     * @returns {boolean} True if the type is registered
+     */
+    static isRegistered(type) {
+        return this.registry.has(String(type).toLowerCase());
+    }
+
+    /**
+     * Look up a registered logger type
+     * @param {string} type - The logger type name
+     * @returns {Object} The registry entry
+     */
+    static getRegistration(type) {
+        const registration = this.registry.get(String(type).toLowerCase());
+        if (!registration) {
+            throw new Error(`Unknown logger type: ${type}. Available types: ${this.getAvailableTypes().join(", ")}`);
+        }
+        return registration;
+    }
+
+    /**
+     * Validate options against a schema
+     * @param {string} type - The logger type (for error messages)
+     * @param {Object} options - The options to check
+     * @param {Object|null} schema - The schema (null skips validation)
+     * @param {string} prefix - Path of the options object, for nested schemas
+     */
+    static validateOptions(type, options, schema, prefix = "") {
+        if (!schema) {
+            return;
+        }
+
+        for (const [name, value] of Object.entries(options)) {
+            const rule = schema[name];
+            if (!rule) {
+                throw new Error(`Unknown option "${prefix}${name}" for logger type "${type}". Allowed options: ${Object.keys(schema).map(key => prefix + key).join(", ")}`);
+            }
+            if (value === undefined) {
+                continue;
+            }
+
+            const types = [].concat(rule.type || "any");
+            const actual = Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+            if (!types.includes("any") && !types.includes(actual)) {
+                throw new Error(`Invalid option "${prefix}${name}" for logger type "${type}": expected ${types.join(" or ")}, got ${actual}`);
+            }
+            if (rule.enum && !rule.enum.includes(value)) {
+                throw new Error(`Invalid option "${prefix}${name}" for logger type "${type}": expected one of ${rule.enum.join(", ")}, got ${value}`);
+            }
+            if (rule.properties && actual === "object") {
+                this.validateOptions(type, value, rule.properties, `${prefix}${name}.`);
+            }
+        }
+
+        for (const [name, rule] of Object.entries(schema)) {
+            if (rule.required && options[name] === undefined) {
+                throw new Error(`Missing required option "${prefix}${name}" for logger type "${type}"`);
+            }
+        }
+    }
+
     /**
      * Create a logger instance based on the type
      * @param {string} type - The type of logger to create
      * @param {Object} options - Optional configuration for the logger
+     * @param {string} options.filename - Log file name (file logger only)
+     * @param {Object} options.rotation - Size/time rotation and retention (file logger only, see LogRotator)
+     * @param {boolean} options.sync - Write every line synchronously instead of buffering (file logger only)
+     * @param {string|Object|LogFormatter} options.format - Output format: "text", "json", "logfmt" or a pattern
+     * @param {string} options.level - Minimum level written by the logger (DEBUG, INFO, WARN, ERROR)
+     * @param {Object|boolean} options.redact - Redaction rules applied before the record is written (see Redactor)
      * @returns {BaseLogger} The created logger instance
      */
     static createLogger(type, options = {}) {
-        switch (type.toLowerCase()) {
-            case LoggerFactory.LoggerTypes.CONSOLE:
-                return new ConsoleLogger();
-
-            case LoggerFactory.LoggerTypes.FILE:
-                return new FileLogger(options.filename);
-
-            case LoggerFactory.LoggerTypes.DATABASE:
-                return new DatabaseLogger();
-
-            case LoggerFactory.LoggerTypes.COMPOSITE:
-                const loggers = options.loggers || [];
-                return new CompositeLogger(loggers);
-
-            default:
-                throw new Error(`Unknown logger type: ${type}. Available types: ${Object.values(LoggerFactory.LoggerTypes).join(", ")}`);
+        const registration = this.getRegistration(type);
+        this.validateOptions(type.toLowerCase(), options, registration.schema);
+        const logger = registration.create(options);
+        shutdownManager.track(logger);
+        if (this.autoShutdownHooks) {
+            shutdownManager.installHooks();
         }
+        return logger;
     }
 
     /**
      * Create a composite logger with multiple logger types
      * @param {Array<string>} types - Array of logger types to include
      * @param {Object} options - Optional configuration for loggers
+     * @param {Object} options.levels - Per-type thresholds, e.g. { console: "DEBUG", file: "INFO", database: "ERROR" }
+     * @param {string} options.errorPolicy - How the composite handles failing children ("ignore", "warn", "disable")
+     * @param {number} options.maxFailures - Consecutive failures before a child is disabled
+     * @param {BaseLogger|Object} options.fallback - Logger (or config node) receiving records failing children dropped
      * @returns {CompositeLogger} A composite logger with all specified loggers
      */
     static createCompositeLogger(types, options = {}) {
-        const loggers = types.map(type => this.createLogger(type, options));
-        return new CompositeLogger(loggers);
+        const { levels = {}, errorPolicy, maxFailures, fallback, ...sharedOptions } = options;
+        const schemas = types.map(type => this.getRegistration(type).schema);
+
+        // Shared options are only passed to the types that accept them,
+        // but an option no type accepts is still reported as unknown
+        for (const name of Object.keys(sharedOptions)) {
+            if (schemas.every(schema => schema && !schema[name])) {
+                throw new Error(`Unknown option "${name}" for logger types: ${types.join(", ")}`);
+            }
+        }
+
+        const loggers = types.map((type, index) => {
+            const schema = schemas[index];
+            const typeOptions = Object.fromEntries(
+                Object.entries(sharedOptions).filter(([name]) => !schema || schema[name])
+            );
+            return this.createLogger(type, {
+                ...typeOptions,
+                level: levels[type.toLowerCase()] || sharedOptions.level
+            });
+        });
+        return this.createLogger(LoggerFactory.LoggerTypes.COMPOSITE, { loggers, errorPolicy, maxFailures, fallback });
+    }
+
+    /**
+     * Load a logging configuration
+     * @param {Object|string} objOrPath - A configuration object or the path of a JSON file
+     * @returns {Object} The configuration object
+     */
+    static loadConfig(objOrPath) {
+        if (typeof objOrPath !== "string") {
+            return objOrPath;
+        }
+        try {
+            return JSON.parse(fs.readFileSync(path.resolve(objOrPath), "utf-8"));
+        } catch (error) {
+            throw new Error(`Failed to load logging config ${objOrPath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build a logger tree from a declarative configuration
+     *
+     * The configuration is either a single logger node or an object with named
+     * profiles: { defaultProfile, profiles: { name: node } }. A node is
+     * { type, ...options }, and composite nodes list their children in `loggers`.
+     * Custom levels can be declared at the top level: { levels: { NOTICE: 25 }, ... }.
+     *
+     * Environment variables override the configuration:
+     *   LOG_PROFILE   Profile to use (when the config has profiles)
+     *   LOG_TARGETS   Comma-separated logger types to keep, e.g. "console,file"
+     *                 (types missing from the profile are added with default options)
+     *   LOG_LEVEL     Level for every logger in the tree
+     *   LOG_FORMAT    Format for every logger in the tree
+     *   LOG_FILE      Filename for every file logger
+     *
+     * @param {Object|string} objOrPath - A configuration object or the path of a JSON file
+     * @param {Object} options - Build options
+     * @param {string} options.profile - Profile to use (overrides LOG_PROFILE and defaultProfile)
+     * @param {Object} options.env - Environment variables (default process.env)
+     * @returns {BaseLogger} The root logger
+     */
+    static fromConfig(objOrPath, options = {}) {
+        const { levels, ...config } = this.loadConfig(objOrPath);
+        const env = options.env || process.env;
+        let node = config;
+
+        Object.entries(levels || {}).forEach(([name, severity]) => this.defineLevel(name, severity));
+
+        if (config.profiles) {
+            const profile = options.profile || env.LOG_PROFILE || config.defaultProfile;
+            node = config.profiles[profile];
+            if (!node) {
+                throw new Error(`Unknown logging profile: ${profile}. Available profiles: ${Object.keys(config.profiles).join(", ")}`);
+            }
+        }
+
+        return this.buildFromNode(this.applyEnvironmentOverrides(node, env));
+    }
+
+    /**
+     * Apply LOG_TARGETS, LOG_LEVEL, LOG_FORMAT and LOG_FILE to a configuration node
+     * @param {Object} node - The root configuration node
+     * @param {Object} env - Environment variables
+     * @returns {Object} A new node with the overrides applied
+     */
+    static applyEnvironmentOverrides(node, env) {
+        let root = node;
+
+        if (env.LOG_TARGETS) {
+            const targets = env.LOG_TARGETS.split(",").map(target => target.trim().toLowerCase()).filter(Boolean);
+            const configured = node.type === LoggerFactory.LoggerTypes.COMPOSITE ? node.loggers || [] : [node];
+            const { loggers, ...compositeOptions } = node.type === LoggerFactory.LoggerTypes.COMPOSITE ? node : {};
+            root = {
+                ...compositeOptions,
+                type: LoggerFactory.LoggerTypes.COMPOSITE,
+                loggers: targets.map(target => configured.find(child => child.type === target) || { type: target })
+            };
+        }
+
+        const override = current => {
+            const updated = { ...current };
+            if (env.LOG_LEVEL) updated.level = env.LOG_LEVEL;
+            if (env.LOG_FORMAT && current.type !== LoggerFactory.LoggerTypes.COMPOSITE) updated.format = env.LOG_FORMAT;
+            if (env.LOG_FILE && current.type === LoggerFactory.LoggerTypes.FILE) updated.filename = env.LOG_FILE;
+            if (Array.isArray(current.loggers)) updated.loggers = current.loggers.map(override);
+            return updated;
+        };
+
+        return override(root);
+    }
+
+    /**
+     * Create a logger (and its children) from a configuration node
+     * @param {Object} node - { type, ...options }, with `loggers` for composites
+     * @returns {BaseLogger} The logger
+     */
+    static buildFromNode(node) {
+        if (!node || !node.type) {
+            throw new Error("Logger config node must have a type");
+        }
+
+        const { type, ...options } = node;
+        if (Array.isArray(options.loggers)) {
+            options.loggers = options.loggers.map(child => this.buildFromNode(child));
+        }
+        return this.createLogger(type, options);
     }
 
     /**
      * Create a logger based on environment
-     * @param {string} env - The environment (development, production, test)
+     * Profiles are defined in logging.config.json; unknown environments get a console logger
+     * @param {string} env - The environment (development, staging, production, ci, test)
      * @returns {BaseLogger} The appropriate logger for the environment
      */
     static createLoggerForEnvironment(env = "development") {
-        switch (env.toLowerCase()) {
-            case "development":
-                // In development, log to console and file
-                return this.createCompositeLogger(
-                    [LoggerFactory.LoggerTypes.CONSOLE, LoggerFactory.LoggerTypes.FILE],
-                    { filename: "dev.log" }
-                );
+        const config = this.loadConfig(LoggerFactory.DEFAULT_CONFIG_PATH);
+        const profile = env.toLowerCase();
+
+        if (!config.profiles[profile]) {
+            // Default to console logger
+            return this.createLogger(LoggerFactory.LoggerTypes.CONSOLE);
+        }
+        return this.fromConfig(config, { profile });
+    }
+
+    /**
+     * Run a function with context fields added to every record logged while it runs,
+     * across async boundaries, by any logger
+     * @param {Object} fields - Context fields, e.g. { correlationId }
+     * @param {Function} fn - The function to run
+     * @returns {*} The function's return value
+     */
+    static runWithContext(fields, fn) {
+        return runWithContext(fields, fn);
+    }
 
-            case "production":
-                // In production, log to file and database
-                return this.createCompositeLogger(
-                    [LoggerFactory.LoggerTypes.FILE, LoggerFactory.LoggerTypes.DATABASE],
-                    { filename: "production.log" }
-                );
+    /**
+     * Get the context fields of the current async execution
+     * @returns {Object} The fields (empty outside runWithContext)
+     */
+    static getContext() {
+        return getContext();
+    }
 
-            case "test":
-                // In test, only log to file
-                return this.createLogger(LoggerFactory.LoggerTypes.FILE, { filename: "test.log" });
+    /**
+     * Define a custom log level
+     * Every logger gets a method named after it, e.g. defineLevel("NOTICE", 25) adds logger.notice()
+     * @param {string} name - Level name (letters, digits and underscores)
+     * @param {number} severity - Numeric severity (TRACE 5, DEBUG 10, INFO 20, WARN 30, AUDIT 35, ERROR 40, FATAL 50)
+     * @returns {string} The upper-case level name
+     */
+    static defineLevel(name, severity) {
+        return defineLevel(name, severity);
+    }
 
-            default:
-                // Default to console logger
-                return this.createLogger(LoggerFactory.LoggerTypes.CONSOLE);
-        }
+    /**
+     * Get the logging metrics in the Prometheus text exposition format
+     * Covers every logger, including the singleton logger
+     * @returns {string} The metrics
+     */
+    static getMetricsText() {
+        return metrics.getMetricsText();
+    }
+
+    /**
+     * Serve the logging metrics over HTTP for Prometheus to scrape
+     * @param {Object} options - Server options
+     * @param {number} options.port - Port (default 9464)
+     * @param {string} options.host - Interface to listen on (default 127.0.0.1)
+     * @param {string} options.path - Metrics path (default "/metrics")
+     * @returns {Promise<http.Server>} The listening server
+     */
+    static serveMetrics(options = {}) {
+        return metrics.serve(options);
+    }
+
+    /**
+     * Flush and close every logger created by the factory, in dependency order
+     * Composites and decorators are flushed before the loggers they write to, then
+     * the top-level loggers are closed (closing their children and targets)
+     * @param {Object} options - Shutdown options
+     * @param {number} options.timeout - Longest wait in ms (default 5000)
+     * @returns {Promise<Object>} { closed, failures, timedOut }
+     */
+    static shutdown(options = {}) {
+        return shutdownManager.shutdown(options);
+    }
+
+    /**
+     * Install the process hooks that shut the loggers down
+     * Called automatically when the first logger is created
+     * @param {Object} options - Hook options
+     * @param {number} options.timeout - Longest wait in ms for each shutdown (default 5000)
+     */
+    static installShutdownHooks(options = {}) {
+        this.autoShutdownHooks = true;
+        shutdownManager.installHooks(options);
+    }
+
+    /**
+     * Remove the process hooks, for applications that call shutdown() themselves
+     * Loggers are still tracked, and the hooks are not installed again automatically
+     */
+    static removeShutdownHooks() {
+        this.autoShutdownHooks = false;
+        shutdownManager.removeHooks();
+    }
+
+    /**
+     * Get the loggers created by the factory that have not been shut down
+     * @returns {Array<BaseLogger>} The loggers
+     */
+    static getTrackedLoggers() {
+        return shutdownManager.getLoggers();
+    }
+
+    /**
+     * Stop tracking a logger without closing it (closing a logger untracks it too)
+     * @param {BaseLogger} logger - The logger
+     */
+    static untrackLogger(logger) {
+        shutdownManager.untrack(logger);
     }
 
     /**
@@ -91,9 +462,142 @@ class LoggerFactory {
      * @returns {Array<string>} Array of available logger types
      */
     static getAvailableTypes() {
-        return Object.values(LoggerFactory.LoggerTypes);
+        return [...this.registry.keys()];
     }
 }
 
+LoggerFactory.register(LoggerFactory.LoggerTypes.CONSOLE, ConsoleLogger, {
+    colors: { type: "boolean" },
+    theme: { type: ["string", "object"] },
+    depth: { type: "number" },
+    compact: { type: "boolean" },
+    stream: { type: "object" }
+});
+
+LoggerFactory.register(
+    LoggerFactory.LoggerTypes.FILE,
+    options => new FileLogger(options.filename, options),
+    {
+        filename: { type: "string" },
+        rotation: {
+            type: "object",
+            properties: {
+                maxSize: { type: ["number", "string"] },
+                interval: { type: "string", enum: ["daily", "hourly"] },
+                naming: { type: "string", enum: ["numbered", "dated"] },
+                compress: { type: "boolean" },
+                maxFiles: { type: "number" },
+                maxAgeDays: { type: "number" }
+            }
+        },
+        sync: { type: "boolean" },
+        bufferSize: { type: "number" },
+        flushInterval: { type: "number" }
+    }
+);
+
+LoggerFactory.register(LoggerFactory.LoggerTypes.DATABASE, DatabaseLogger, {
+    store: { type: ["string", "object"] },
+    storePath: { type: "string" },
+    verbose: { type: "boolean" }
+});
+
+LoggerFactory.register(LoggerFactory.LoggerTypes.SYSLOG, SyslogLogger, {
+    protocol: { type: "string", enum: Object.values(SyslogLogger.Protocols) },
+    host: { type: "string" },
+    port: { type: "number" },
+    path: { type: "string" },
+    facility: { type: ["string", "number"] },
+    appName: { type: "string" },
+    hostname: { type: "string" },
+    msgId: { type: "string" },
+    sdId: { type: "string" },
+    framing: { type: "string", enum: ["octet-counting", "non-transparent"] },
+    maxQueue: { type: "number" },
+    reconnectDelay: { type: "number" },
+    maxReconnectDelay: { type: "number" }
+});
+
+LoggerFactory.register(LoggerFactory.LoggerTypes.HTTP, HttpLogger, {
+    url: { type: "string", required: true },
+    headers: { type: "object" },
+    batchSize: { type: "number" },
+    flushInterval: { type: "number" },
+    gzip: { type: "boolean" },
+    timeout: { type: "number" },
+    maxRetries: { type: "number" },
+    retryDelay: { type: "number" },
+    maxRetryDelay: { type: "number" },
+    spoolDir: { type: "string" },
+    maxSpoolBytes: { type: "number" },
+    maxBuffer: { type: "number" }
+});
+
+LoggerFactory.register(
+    LoggerFactory.LoggerTypes.THROTTLED,
+    options => new ThrottledLogger(
+        options.target instanceof BaseLogger ? options.target : LoggerFactory.buildFromNode(options.target),
+        options
+    ),
+    {
+        target: { type: "object", required: true },
+        rateLimits: { type: "object" },
+        sampling: { type: "object" },
+        dedupeWindow: { type: "number" },
+        reportInterval: { type: "number" },
+        random: { type: "function" }
+    }
+);
+
+LoggerFactory.register(
+    LoggerFactory.LoggerTypes.RINGBUFFER,
+    options => new RingBufferLogger(
+        options.target instanceof BaseLogger ? options.target : LoggerFactory.buildFromNode(options.target),
+        options
+    ),
+    {
+        target: { type: "object", required: true },
+        capacity: { type: "number" },
+        triggerLevel: { type: "string" }
+    }
+);
+
+LoggerFactory.register(LoggerFactory.LoggerTypes.THREADED, ThreadedLogger, {
+    target: { type: ["object", "string"], required: true },
+    profile: { type: "string" },
+    maxQueue: { type: "number" },
+    batchSize: { type: "number" },
+    overflow: { type: "string", enum: Object.values(ThreadedLogger.OverflowPolicies) },
+    blockTimeout: { type: "number" },
+    exitTimeout: { type: "number" }
+});
+
+LoggerFactory.register(
+    LoggerFactory.LoggerTypes.AUDIT,
+    options => new AuditFileLogger(options.filename, options),
+    {
+        filename: { type: "string" },
+        key: { type: "string" },
+        keyFile: { type: "string" },
+        checkpointInterval: { type: "number" }
+    }
+);
+
+LoggerFactory.register(
+    LoggerFactory.LoggerTypes.COMPOSITE,
+    options => new CompositeLogger(options.loggers || [], {
+        ...options,
+        fallback: options.fallback && !(options.fallback instanceof BaseLogger)
+            ? LoggerFactory.buildFromNode(options.fallback)
+            : options.fallback
+    }),
+    {
+        loggers: { type: "array" },
+        errorPolicy: { type: "string", enum: Object.values(CompositeLogger.ErrorPolicies) },
+        maxFailures: { type: "number" },
+        fallback: { type: "object" }
+    }
+);
+
 export default LoggerFactory;
 
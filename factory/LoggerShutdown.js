@@ -0,0 +1,278 @@
+import os from "os";
+
+/**
+ * LoggerShutdown - flushes and closes loggers when the process ends
+ *
+ * LoggerFactory tracks every logger it creates here. shutdown() walks the loggers
+ * and everything they write through (see BaseLogger.getDependencies()), then:
+ *   1. flushes them in dependency order: composites and decorators before the
+ *      loggers they write to, so buffered records reach the final destinations
+ *   2. closes the roots (loggers nothing else writes through); composites and
+ *      decorators close their own children and targets
+ * all within a timeout.
+ *
+ * The hooks installed by installHooks() run shutdown() on:
+ *   beforeExit          the event loop is empty
+ *   SIGINT, SIGTERM     the signal is raised again afterwards; if the application has
+ *                       its own listeners for it, the loggers are only flushed, so its
+ *                       graceful shutdown can still log, and closed on beforeExit
+ *   uncaughtException   the error is logged at FATAL first, and the process exits
+ *                       with code 1 unless the application has its own listeners
+ *   exit                (synchronous) FileLogger buffers are written with flushSync()
+ */
+class LoggerShutdown {
+    /**
+     * Signals handled by the hooks
+     */
+    static SIGNALS = ["SIGINT", "SIGTERM"];
+
+    constructor() {
+        this.loggers = new Set();
+        this.timeout = 5000;
+        this.hooks = null; // Installed listeners, by event name
+        this.pending = null; // The shutdown in progress
+    }
+
+    /**
+     * Track a logger so it is flushed and closed on shutdown
+     * The logger's close() is wrapped to stop tracking it, so loggers an application
+     * creates and closes (e.g. one per job) are not kept alive by the tracker
+     * @param {BaseLogger} logger - The logger
+     */
+    track(logger) {
+        if (this.loggers.has(logger)) {
+            return;
+        }
+        this.loggers.add(logger);
+
+        const close = logger.close;
+        logger.close = (...args) => {
+            this.untrack(logger);
+            return close.apply(logger, args);
+        };
+    }
+
+    /**
+     * Stop tracking a logger (called by the wrapped close())
+     * @param {BaseLogger} logger - The logger
+     */
+    untrack(logger) {
+        this.loggers.delete(logger);
+    }
+
+    /**
+     * Get the tracked loggers
+     * @returns {Array<BaseLogger>} The loggers, in creation order
+     */
+    getLoggers() {
+        return [...this.loggers];
+    }
+
+    /**
+     * Group loggers into waves: each wave only writes through loggers of later waves
+     * Loggers reached through dependencies are included even if they are not tracked
+     * @param {Array<BaseLogger>} loggers - The loggers
+     * @returns {Array<Array<BaseLogger>>} The waves, dependents first
+     */
+    static orderByDependencies(loggers) {
+        const dependents = new Map(); // logger -> number of loggers writing through it
+        const visit = logger => {
+            if (dependents.has(logger)) {
+                return;
+            }
+            dependents.set(logger, 0);
+            logger.getDependencies().forEach(visit);
+        };
+        loggers.forEach(visit);
+        dependents.forEach((count, logger) => {
+            logger.getDependencies().forEach(dependency => dependents.set(dependency, dependents.get(dependency) + 1));
+        });
+
+        const waves = [];
+        let wave = [...dependents.keys()].filter(logger => dependents.get(logger) === 0);
+        const placed = new Set(wave);
+        while (wave.length > 0) {
+            waves.push(wave);
+            const next = [];
+            wave.forEach(logger => logger.getDependencies().forEach(dependency => {
+                dependents.set(dependency, dependents.get(dependency) - 1);
+                if (dependents.get(dependency) === 0 && !placed.has(dependency)) {
+                    placed.add(dependency);
+                    next.push(dependency);
+                }
+            }));
+            wave = next;
+        }
+
+        // Loggers on a cycle never reach zero dependents; flush them last
+        const remaining = [...dependents.keys()].filter(logger => !placed.has(logger));
+        if (remaining.length > 0) {
+            waves.push(remaining);
+        }
+        return waves;
+    }
+
+    /**
+     * Flush and close the tracked loggers
+     * Loggers created while a shutdown runs are left for the next one
+     * @param {Object} options - Shutdown options
+     * @param {number} options.timeout - Longest wait in ms (default 5000, or the timeout given to installHooks())
+     * @returns {Promise<Object>} { closed, failures: [{ logger, error }], timedOut }
+     */
+    shutdown(options = {}) {
+        if (this.pending) {
+            return this.pending;
+        }
+
+        const loggers = this.getLoggers();
+        loggers.forEach(logger => this.loggers.delete(logger));
+        const timeout = options.timeout ?? this.timeout;
+        const failures = [];
+
+        const settle = async (logger, operation) => {
+            try {
+                await logger[operation]();
+            } catch (error) {
+                failures.push({ logger: logger.name, error });
+                console.error(`Failed to ${operation} ${logger.name} on shutdown: ${error.message}`);
+            }
+        };
+
+        const run = async () => {
+            const waves = LoggerShutdown.orderByDependencies(loggers);
+            for (const wave of waves) {
+                await Promise.all(wave.map(logger => settle(logger, "flush")));
+            }
+            await Promise.all(waves[0] ? waves[0].map(logger => settle(logger, "close")) : []);
+            return { closed: loggers.length, failures, timedOut: false };
+        };
+
+        let timer;
+        const expired = new Promise(resolve => {
+            timer = setTimeout(() => {
+                console.error(`Logger shutdown did not finish within ${timeout}ms`);
+                resolve({ closed: loggers.length, failures, timedOut: true });
+            }, timeout);
+            timer.unref();
+        });
+
+        this.pending = Promise.race([run(), expired]).finally(() => {
+            clearTimeout(timer);
+            this.pending = null;
+        });
+        return this.pending;
+    }
+
+    /**
+     * Log an error at FATAL to every root logger
+     * @param {Error} error - The error
+     * @param {string} message - The message
+     */
+    logFatal(error, message) {
+        const [roots = []] = LoggerShutdown.orderByDependencies(this.getLoggers());
+        roots.forEach(logger => {
+            try {
+                logger.fatal(message, { err: error });
+            } catch {
+                // Shutting down anyway; the error is printed to stderr below
+            }
+        });
+    }
+
+    /**
+     * Install the process hooks (once; later calls only update the timeout)
+     * @param {Object} options - Hook options
+     * @param {number} options.timeout - Longest wait in ms for each shutdown (default 5000)
+     */
+    installHooks(options = {}) {
+        if (options.timeout !== undefined) {
+            this.timeout = options.timeout;
+        }
+        if (this.hooks) {
+            return;
+        }
+
+        this.hooks = {
+            beforeExit: () => {
+                if (this.loggers.size > 0) {
+                    this.shutdown();
+                }
+            },
+            exit: () => {
+                LoggerShutdown.orderByDependencies(this.getLoggers()).flat().forEach(logger => {
+                    if (typeof logger.flushSync === "function") {
+                        logger.flushSync();
+                    }
+                });
+            },
+            uncaughtException: error => this.handleUncaughtException(error)
+        };
+        LoggerShutdown.SIGNALS.forEach(signal => {
+            this.hooks[signal] = () => this.handleSignal(signal);
+        });
+
+        Object.entries(this.hooks).forEach(([event, listener]) => process.on(event, listener));
+    }
+
+    /**
+     * Remove the process hooks
+     */
+    removeHooks() {
+        if (!this.hooks) {
+            return;
+        }
+        Object.entries(this.hooks).forEach(([event, listener]) => process.off(event, listener));
+        this.hooks = null;
+    }
+
+    /**
+     * Shut down on SIGINT or SIGTERM
+     * A second signal during the shutdown exits immediately. When the application
+     * handles the signal too, it decides when the process ends: the loggers are only
+     * flushed, and stay open for the logs of its own shutdown
+     * @param {string} signal - The signal name
+     */
+    handleSignal(signal) {
+        if (process.listenerCount(signal) > 1) {
+            this.flushAll();
+            return;
+        }
+        if (this.pending) {
+            process.exit(128 + os.constants.signals[signal]);
+        }
+
+        this.shutdown().then(() => {
+            // Let the default handler terminate the process with the signal
+            this.removeHooks();
+            process.kill(process.pid, signal);
+        });
+    }
+
+    /**
+     * Flush every tracked logger without waiting, ignoring failures
+     */
+    flushAll() {
+        this.getLoggers().forEach(logger => Promise.resolve().then(() => logger.flush()).catch(() => {}));
+    }
+
+    /**
+     * Log an uncaught exception, shut down and exit
+     * @param {Error} error - The exception
+     */
+    handleUncaughtException(error) {
+        const ownListenerOnly = process.listenerCount("uncaughtException") === 1;
+        this.logFatal(error, "Uncaught exception");
+
+        if (!ownListenerOnly) {
+            // The application keeps running; only make sure the records are written
+            this.flushAll();
+            return;
+        }
+
+        console.error(error);
+        this.shutdown().then(() => process.exit(1));
+    }
+}
+
+// Export a single instance: the process hooks are shared by every logger
+export default new LoggerShutdown();
@@ -0,0 +1,35 @@
+import LogStore from "./LogStore.js";
+
+/**
+ * MemoryLogStore - keeps log entries in an in-memory array
+ * Entries are lost when the process exits
+ */
+class MemoryLogStore extends LogStore {
+    constructor() {
+        super("memory");
+        this.entries = [];
+        this.nextId = 1;
+    }
+
+    insert(entry) {
+        const saved = { id: this.nextId++, ...entry };
+        this.entries.push(saved);
+        return saved;
+    }
+
+    query(query = {}) {
+        return LogStore.apply(this.entries, query);
+    }
+
+    count(query = {}) {
+        const { limit, offset, ...filter } = query;
+        return Object.keys(filter).length === 0 ? this.entries.length : super.count(filter);
+    }
+
+    clear() {
+        this.entries = [];
+        this.nextId = 1;
+    }
+}
+
+export default MemoryLogStore;
@@ -0,0 +1,154 @@
+import util from "util";
+
+/**
+ * Message Format - lazy messages and printf-style templates
+ *
+ * Loggers call resolveMessage() only after checking that a record will be written,
+ * so the work below is skipped entirely for disabled levels:
+ *   logger.debug(() => `State: ${JSON.stringify(state)}`)    thunk, called when emitted
+ *   logger.debug("User %s has %d items", name, count)         template, interpolated when emitted
+ *   logger.debug("User %s has %d items", name, count, meta)   an extra trailing argument is the metadata
+ * Placeholders are those of util.format: %s %d %i %f %j %o %O %c, and %% for a literal %.
+ *
+ * The message is interpolated when the arguments match its placeholders one for one, or
+ * when one argument is left over and it is metadata (a plain object, Error or function):
+ *   logger.debug("Payload %j", body)                          body fills %j
+ *   logger.info("Order %s placed", id, { userId })            { userId } is the metadata
+ * A trailing plain object fills the last placeholder only if that placeholder takes an
+ * object (%j, %o, %O). Otherwise it is the metadata, so the usual (message, meta) call never
+ * reads text such as "50%s" or "?q=%d0%b1" as a template. When the counts differ the
+ * message is kept as is and the remaining arguments are added to the metadata as `args`.
+ */
+
+/**
+ * Placeholders understood by util.format
+ */
+const PLACEHOLDER = /%[sdifjoOc%]/g;
+
+/**
+ * Placeholders that print an object (JSON or util.inspect)
+ */
+const OBJECT_PLACEHOLDERS = ["%j", "%o", "%O"];
+
+/**
+ * List the placeholders in a template that consume an argument
+ * @param {string} template - The message template
+ * @returns {Array<string>} The placeholders in order, e.g. ["%s", "%j"] (%% is left out)
+ */
+function findPlaceholders(template) {
+    return [...template.matchAll(PLACEHOLDER)].map(([token]) => token).filter(token => token !== "%%");
+}
+
+/**
+ * Count the placeholders in a template that consume an argument
+ * @param {string} template - The message template
+ * @returns {number} The number of placeholders (%% is not counted)
+ */
+export function countPlaceholders(template) {
+    return findPlaceholders(template).length;
+}
+
+/**
+ * Check whether a trailing argument is metadata rather than a template value
+ * @param {*} value - The argument
+ * @returns {boolean} True for plain objects, errors and functions (metadata thunks)
+ */
+function isMetadata(value) {
+    if (typeof value === "function" || value instanceof Error) {
+        return true;
+    }
+    if (typeof value !== "object" || value === null) {
+        return false;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Decide whether the last argument of a template call is the metadata
+ * @param {Array<string>} placeholders - The template's placeholders
+ * @param {Array} args - The arguments after the template
+ * @returns {boolean} True if the last argument is the metadata, false if it is a template value
+ */
+function endsWithMetadata(placeholders, args) {
+    const last = args[args.length - 1];
+    if (!isMetadata(last)) {
+        return false;
+    }
+    // A plain object exactly filling an object placeholder is a value: logger.debug("Payload %j", body)
+    const fillsObjectPlaceholder = args.length === placeholders.length
+        && typeof last === "object"
+        && !(last instanceof Error)
+        && OBJECT_PLACEHOLDERS.includes(placeholders[placeholders.length - 1]);
+    return !fillsObjectPlaceholder;
+}
+
+/**
+ * Call a thunk, turning a failure into a message that still gets logged
+ * @param {Function} thunk - The function building the value
+ * @param {string} what - "message" or "metadata", for the failure message
+ * @returns {Object} { value } or { error }
+ */
+function evaluate(thunk, what) {
+    try {
+        return { value: thunk() };
+    } catch (error) {
+        return { error: Object.assign(new Error(`Failed to build log ${what}: ${error.message}`), { cause: error }) };
+    }
+}
+
+/**
+ * Keep arguments that did not match a template in the metadata
+ * @param {Object|Error|Function|undefined} meta - The metadata argument
+ * @param {Array} values - The unused arguments
+ * @returns {Object|Function} Metadata with an `args` field
+ */
+function withArgs(meta, values) {
+    if (typeof meta === "function") {
+        return () => withArgs(meta(), values);
+    }
+    return meta instanceof Error ? { err: meta, args: values } : { ...meta, args: values };
+}
+
+/**
+ * Resolve the arguments of a logging call into a message and metadata
+ * @param {string|Error|Function} message - The message, an error, a template or a thunk returning one of those
+ * @param {Array} args - The remaining arguments: metadata, or template arguments followed by optional metadata
+ * @returns {Object} { message, meta } - meta may be an object, an Error or undefined
+ */
+export function resolveMessage(message, args = []) {
+    let meta = args[0];
+
+    if (typeof message === "function") {
+        const result = evaluate(message, "message");
+        if (result.error) {
+            return { message: result.error.message, meta: { err: result.error } };
+        }
+        message = result.value;
+    } else if (typeof message === "string" && args.length > 0) {
+        const placeholders = findPlaceholders(message);
+        const count = placeholders.length;
+        if (count > 0) {
+            const hasMeta = endsWithMetadata(placeholders, args);
+            const values = hasMeta ? args.slice(0, -1) : args;
+            meta = hasMeta ? args[args.length - 1] : undefined;
+            if (values.length === count) {
+                message = util.format(message, ...values);
+            } else if (values.length > 0) {
+                meta = withArgs(meta, values);
+            }
+        }
+    }
+
+    if (typeof meta === "function") {
+        const result = evaluate(meta, "metadata");
+        meta = result.error ? { err: result.error } : result.value;
+    }
+
+    return { message, meta };
+}
+
+export default {
+    countPlaceholders,
+    resolveMessage
+};
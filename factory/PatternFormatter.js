@@ -0,0 +1,109 @@
+import LogFormatter from "./LogFormatter.js";
+import os from "os";
+import { formatError } from "./ErrorSerializer.js";
+import { safeStringify } from "./SafeJson.js";
+
+/**
+ * PatternFormatter - user-defined layout in the style of log4j/logback
+ *
+ * Supported conversion words:
+ *   %d, %date         ISO timestamp
+ *   %level, %p        Log level
+ *   %logger, %c       Logger name
+ *   %msg, %m          Message
+ *   %pid              Process id
+ *   %hostname         Host name
+ *   %meta             All metadata fields as JSON (empty when there are none)
+ *   %X{key}           A single metadata field
+ *   %ex               The error in meta.err with its stack and causes, on a new line (empty without one)
+ *   %n                Newline
+ *   %%                Literal percent sign
+ *
+ * A width may follow the percent sign: %-5level left-aligns the level
+ * in a 5 character column, %5level right-aligns it.
+ */
+class PatternFormatter extends LogFormatter {
+    static DEFAULT_PATTERN = "%d %-5level %logger - %msg";
+
+    constructor(pattern = PatternFormatter.DEFAULT_PATTERN) {
+        super("pattern");
+        this.pattern = pattern;
+        this.tokens = this.parse(pattern);
+    }
+
+    /**
+     * Conversion words and how to resolve them from a record
+     */
+    static converters = {
+        d: record => record.timestamp.toISOString(),
+        date: record => record.timestamp.toISOString(),
+        level: record => record.level,
+        p: record => record.level,
+        logger: record => record.logger,
+        c: record => record.logger,
+        msg: record => LogFormatter.stringifyMessage(record.message),
+        m: record => LogFormatter.stringifyMessage(record.message),
+        pid: () => String(process.pid),
+        hostname: () => os.hostname(),
+        meta: record => (record.meta && Object.keys(record.meta).length > 0 ? safeStringify(record.meta) : ""),
+        X: (record, key) => {
+            const value = record.meta ? record.meta[key] : undefined;
+            if (value === undefined) return "";
+            return typeof value === "object" && value !== null ? safeStringify(value) : String(value);
+        },
+        ex: record => (record.meta && record.meta.err !== undefined ? `\n${formatError(record.meta.err, "    ")}` : ""),
+        n: () => "\n"
+    };
+
+    /**
+     * Split a pattern into literal text and conversion tokens
+     * @param {string} pattern - The pattern to parse
+     * @returns {Array<Object>} Parsed tokens
+     */
+    parse(pattern) {
+        const tokens = [];
+        const regex = /%(%|(-?\d+)?([a-zA-Z]+)(?:\{([^}]*)\})?)/g;
+        let lastIndex = 0;
+        let match;
+
+        while ((match = regex.exec(pattern)) !== null) {
+            if (match.index > lastIndex) {
+                tokens.push({ literal: pattern.slice(lastIndex, match.index) });
+            }
+
+            if (match[1] === "%") {
+                tokens.push({ literal: "%" });
+            } else {
+                const word = match[3];
+                if (!PatternFormatter.converters[word]) {
+                    throw new Error(`Unknown pattern conversion word: %${word}`);
+                }
+                tokens.push({ word, width: match[2] ? parseInt(match[2], 10) : 0, option: match[4] });
+            }
+
+            lastIndex = regex.lastIndex;
+        }
+
+        if (lastIndex < pattern.length) {
+            tokens.push({ literal: pattern.slice(lastIndex) });
+        }
+
+        return tokens;
+    }
+
+    format(record) {
+        return this.tokens.map(token => {
+            if (token.literal !== undefined) {
+                return token.literal;
+            }
+
+            const value = String(PatternFormatter.converters[token.word](record, token.option) ?? "");
+            if (token.width < 0) {
+                return value.padEnd(-token.width);
+            }
+            return value.padStart(token.width);
+        }).join("");
+    }
+}
+
+export default PatternFormatter;
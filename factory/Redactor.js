@@ -0,0 +1,165 @@
+/**
+ * Redactor - masks sensitive data in log records before they reach a transport
+ *
+ * Rules:
+ *   paths     Metadata key paths to mask. A path matches the trailing segments of a
+ *             key path, so "cvv" matches meta.cvv and meta.order.paymentMethod.cvv, and
+ *             "paymentMethod.cardNumber" matches at any depth. "*" matches one segment.
+ *   patterns  Regular expressions applied to the message and string metadata values.
+ *             Built-in names: "pan", "email", "ipv4", "ipv6"; other strings are compiled
+ *             as regular expressions; RegExp objects are used as is.
+ *   luhn      Mask 13-19 digit runs (spaces and dashes allowed) that pass the Luhn check
+ *   censor    Replacement string, or a function (value, path) => string (default "[REDACTED]")
+ */
+class Redactor {
+    /**
+     * Built-in patterns
+     */
+    static Patterns = {
+        pan: /\b(?:\d[ -]?){12,18}\d\b/g,
+        email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+        ipv4: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g,
+        ipv6: /\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b|\b(?:[0-9a-f]{1,4}:)+:(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4})*)?/gi
+    };
+
+    /**
+     * Rules used when redaction is enabled with `redact: true`
+     */
+    static DEFAULT_RULES = {
+        paths: ["password", "cvv", "cardNumber", "resetCode", "authorization"],
+        luhn: true
+    };
+
+    /**
+     * @param {Object|boolean} rules - Redaction rules, or true for DEFAULT_RULES
+     */
+    constructor(rules = {}) {
+        const config = rules === true ? Redactor.DEFAULT_RULES : rules;
+        this.paths = (config.paths || []).map(keyPath => String(keyPath).split("."));
+        this.patterns = (config.patterns || []).map(pattern => Redactor.compilePattern(pattern));
+        this.luhn = Boolean(config.luhn);
+        this.censor = config.censor ?? "[REDACTED]";
+    }
+
+    /**
+     * Turn a pattern option into a global RegExp
+     * @param {string|RegExp|Object} pattern - Built-in name, regex source, RegExp or { pattern, flags }
+     * @returns {RegExp} The compiled pattern
+     */
+    static compilePattern(pattern) {
+        if (pattern instanceof RegExp) {
+            return pattern.global ? pattern : new RegExp(pattern.source, pattern.flags + "g");
+        }
+        if (typeof pattern === "object" && pattern !== null) {
+            return new RegExp(pattern.pattern, (pattern.flags || "").replace("g", "") + "g");
+        }
+        return Redactor.Patterns[pattern] || new RegExp(pattern, "g");
+    }
+
+    /**
+     * Luhn checksum used by payment card numbers
+     * @param {string} digits - A string of digits
+     * @returns {boolean} True if the checksum is valid
+     */
+    static isLuhnValid(digits) {
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    /**
+     * Get the replacement for a sensitive value
+     * @param {*} value - The original value
+     * @param {string} keyPath - Where the value was found ("message" or a metadata path)
+     * @returns {string} The replacement
+     */
+    mask(value, keyPath) {
+        return typeof this.censor === "function" ? this.censor(value, keyPath) : this.censor;
+    }
+
+    /**
+     * Check whether a key path is covered by the path rules
+     * @param {Array<string>} keyPath - Segments of the key path
+     * @returns {boolean} True if the value at this path must be masked
+     */
+    matchesPath(keyPath) {
+        return this.paths.some(rule => {
+            if (rule.length > keyPath.length) return false;
+            const tail = keyPath.slice(keyPath.length - rule.length);
+            return rule.every((segment, index) => segment === "*" || segment === tail[index]);
+        });
+    }
+
+    /**
+     * Apply patterns and the Luhn check to a string
+     * @param {string} text - The text to scan
+     * @param {string} keyPath - Where the text was found
+     * @returns {string} The redacted text
+     */
+    redactString(text, keyPath) {
+        let result = text;
+        for (const pattern of this.patterns) {
+            pattern.lastIndex = 0;
+            result = result.replace(pattern, match => this.mask(match, keyPath));
+        }
+        if (this.luhn) {
+            result = result.replace(Redactor.Patterns.pan, match => {
+                const digits = match.replace(/[ -]/g, "");
+                return Redactor.isLuhnValid(digits) ? this.mask(match, keyPath) : match;
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Redact a value, copying objects and arrays instead of modifying them
+     * @param {*} value - The value
+     * @param {Array<string>} keyPath - Segments of the value's key path
+     * @param {WeakSet} seen - Objects on the current path, to stop at cycles
+     * @returns {*} The redacted value
+     */
+    redactValue(value, keyPath, seen = new WeakSet()) {
+        if (keyPath.length > 0 && this.matchesPath(keyPath)) {
+            return this.mask(value, keyPath.join("."));
+        }
+        if (typeof value === "string") {
+            return this.redactString(value, keyPath.join("."));
+        }
+        if (typeof value !== "object" || value === null || value instanceof Date) {
+            return value;
+        }
+        if (seen.has(value)) {
+            return "[Circular]";
+        }
+
+        seen.add(value);
+        const copy = Array.isArray(value)
+            ? value.map((item, index) => this.redactValue(item, [...keyPath, String(index)], seen))
+            : Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactValue(item, [...keyPath, key], seen)]));
+        seen.delete(value);
+        return copy;
+    }
+
+    /**
+     * Redact a log record's message and metadata
+     * Object messages (logger.info({ cardNumber })) follow the same path rules as metadata
+     * @param {Object} record - The log record
+     * @returns {Object} A new record with sensitive data masked
+     */
+    redactRecord(record) {
+        return {
+            ...record,
+            message: typeof record.message === "string" ? this.redactString(record.message, "message") : this.redactValue(record.message, []),
+            meta: record.meta ? this.redactValue(record.meta, []) : record.meta
+        };
+    }
+}
+
+export default Redactor;
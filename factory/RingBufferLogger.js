@@ -0,0 +1,140 @@
+import BaseLogger from "./BaseLogger.js";
+import { normalizeLevel, isLevelAtLeast } from "./LogLevels.js";
+import metrics from "./LogMetrics.js";
+
+/**
+ * RingBufferLogger - keeps recent records in memory and writes them only when something goes wrong
+ * Decorator around any BaseLogger
+ *
+ * The last `capacity` records of every level are held in a ring buffer. When a record
+ * at or above `triggerLevel` arrives, the buffered history is written to the target
+ * in order, followed by the triggering record, and the buffer starts over. Records
+ * below the trigger level never reach the target otherwise, so DEBUG output stays off
+ * disk until an error needs its context. The target's own threshold still applies,
+ * so it should accept the buffered levels (targets default to DEBUG).
+ */
+class RingBufferLogger extends BaseLogger {
+    /**
+     * Records are counted by the target that writes them
+     */
+    static forwardsRecords = true;
+
+    /**
+     * @param {BaseLogger} target - The logger that receives the history when triggered
+     * @param {Object} options - Logger options
+     * @param {number} options.capacity - Number of records kept in memory (default 100)
+     * @param {string} options.triggerLevel - Level that writes the history (default "ERROR")
+     */
+    constructor(target, options = {}) {
+        super("RingBufferLogger", options);
+        if (!(target instanceof BaseLogger)) {
+            throw new Error("RingBufferLogger target must be an instance of BaseLogger");
+        }
+
+        this.target = target;
+        this.capacity = options.capacity || 100;
+        this.triggerLevel = normalizeLevel(options.triggerLevel || "ERROR");
+        this.buffer = new Array(this.capacity);
+        this.start = 0;
+        this.size = 0;
+        this.discarded = 0; // Records pushed out of the buffer since the last dump
+    }
+
+    writeRecord(record) {
+        if (isLevelAtLeast(record.level, this.triggerLevel)) {
+            this.dump();
+            this.forward(record);
+            return;
+        }
+        this.push(record);
+    }
+
+    /**
+     * Add a record to the buffer, overwriting the oldest one when full
+     * @param {Object} record - The log record
+     */
+    push(record) {
+        const index = (this.start + this.size) % this.capacity;
+        this.buffer[index] = record;
+        if (this.size < this.capacity) {
+            this.size++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+            this.discarded++;
+            metrics.recordDropped(this.name, "buffer_overflow");
+        }
+    }
+
+    /**
+     * Pass a record to the target
+     * @param {Object} record - The log record
+     */
+    forward(record) {
+        this.target.handleRecord({ ...record, logger: this.target.name });
+    }
+
+    /**
+     * Write the buffered history to the target and empty the buffer
+     * Can also be called directly, e.g. from a crash handler
+     * @returns {number} The number of records written
+     */
+    dump() {
+        const records = this.getBufferedRecords();
+        this.clearBuffer();
+        records.forEach(record => this.forward(record));
+        return records.length;
+    }
+
+    /**
+     * Get the buffered records, oldest first
+     * @returns {Array<Object>} The records
+     */
+    getBufferedRecords() {
+        const records = [];
+        for (let i = 0; i < this.size; i++) {
+            records.push(this.buffer[(this.start + i) % this.capacity]);
+        }
+        return records;
+    }
+
+    /**
+     * Discard the buffered records without writing them
+     */
+    clearBuffer() {
+        this.buffer = new Array(this.capacity);
+        this.start = 0;
+        this.size = 0;
+        this.discarded = 0;
+    }
+
+    /**
+     * Get buffer statistics
+     * @returns {Object} { capacity, buffered, discarded } - discarded counts records pushed out since the last dump
+     */
+    getStatistics() {
+        return { capacity: this.capacity, buffered: this.size, discarded: this.discarded };
+    }
+
+    getDependencies() {
+        return [this.target];
+    }
+
+    /**
+     * Flush the target (the buffered history is kept)
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.target.flush();
+    }
+
+    /**
+     * Close the target, discarding the buffered history
+     * @returns {Promise<void>}
+     */
+    close() {
+        this.clearBuffer();
+        return this.target.close();
+    }
+}
+
+export default RingBufferLogger;
@@ -0,0 +1,58 @@
+/**
+ * Safe JSON - JSON.stringify for values handed to a logger
+ *
+ * Metadata comes from application code and may hold anything: objects that refer
+ * back to themselves (a request and its socket), BigInts, ... Plain JSON.stringify
+ * throws on both, and a logging call must never throw, so every logger and
+ * formatter serializes through safeStringify():
+ *   - a reference to an object that is still being serialized becomes "[Circular]"
+ *     (an object that is merely referenced twice is written twice)
+ *   - a BigInt becomes its decimal string
+ */
+
+/**
+ * Placeholder written instead of a circular reference
+ */
+export const CIRCULAR = "[Circular]";
+
+/**
+ * Build a JSON.stringify replacer that breaks cycles and converts BigInts
+ * @returns {Function} The replacer (use it for a single stringify call)
+ */
+export function createSafeReplacer() {
+    const ancestors = [];
+    return function (key, value) {
+        if (typeof value === "bigint") {
+            return value.toString();
+        }
+        if (value === null || typeof value !== "object") {
+            return value;
+        }
+
+        // `this` is the object holding the value: drop the ancestors we have left
+        while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) {
+            ancestors.pop();
+        }
+        if (ancestors.includes(value)) {
+            return CIRCULAR;
+        }
+        ancestors.push(value);
+        return value;
+    };
+}
+
+/**
+ * Stringify a value without throwing on cycles or BigInts
+ * @param {*} value - The value
+ * @param {string|number} space - Indentation, as for JSON.stringify
+ * @returns {string} JSON (undefined for undefined or a function, as with JSON.stringify)
+ */
+export function safeStringify(value, space) {
+    return JSON.stringify(value, createSafeReplacer(), space);
+}
+
+export default {
+    CIRCULAR,
+    createSafeReplacer,
+    safeStringify
+};
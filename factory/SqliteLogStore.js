@@ -0,0 +1,139 @@
+import LogStore from "./LogStore.js";
+import { safeStringify } from "./SafeJson.js";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+/**
+ * SqliteLogStore - stores log entries in a SQLite database using node:sqlite
+ * Queries are translated to SQL; metadata is stored as JSON and filtered with json_extract
+ *
+ * Requires a Node.js version that ships node:sqlite (22.5 or later).
+ */
+class SqliteLogStore extends LogStore {
+    /**
+     * @param {string} filePath - Absolute path of the database file (":memory:" for a temporary database)
+     */
+    constructor(filePath) {
+        super("sqlite");
+        this.filePath = filePath;
+
+        let sqlite;
+        try {
+            sqlite = require("node:sqlite");
+        } catch (error) {
+            throw new Error(`The sqlite log store requires node:sqlite (Node.js 22.5 or later): ${error.message}`);
+        }
+
+        this.db = new sqlite.DatabaseSync(filePath);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS logs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                timestamp TEXT NOT NULL,
+                level TEXT NOT NULL,
+                logger TEXT NOT NULL,
+                message TEXT NOT NULL,
+                formatted TEXT,
+                metadata TEXT
+            );
+            CREATE INDEX IF NOT EXISTS logs_timestamp ON logs (timestamp);
+            CREATE INDEX IF NOT EXISTS logs_level ON logs (level);
+        `);
+        this.insertStatement = this.db.prepare(
+            "INSERT INTO logs (timestamp, level, logger, message, formatted, metadata) VALUES (?, ?, ?, ?, ?, ?)"
+        );
+    }
+
+    insert(entry) {
+        const result = this.insertStatement.run(
+            new Date(entry.timestamp).toISOString(),
+            entry.level,
+            entry.logger,
+            String(entry.message),
+            entry.formatted ?? null,
+            safeStringify(entry.metadata || {})
+        );
+        return { id: Number(result.lastInsertRowid), ...entry };
+    }
+
+    /**
+     * Translate the filter part of a query into a WHERE clause
+     * @param {Object} query - The query
+     * @returns {Object} { where, params }
+     */
+    buildWhere(query) {
+        const clauses = [];
+        const params = [];
+
+        if (query.from) {
+            clauses.push("timestamp >= ?");
+            params.push(new Date(query.from).toISOString());
+        }
+        if (query.to) {
+            clauses.push("timestamp <= ?");
+            params.push(new Date(query.to).toISOString());
+        }
+        if (query.level) {
+            const levels = [].concat(query.level).map(level => String(level).toUpperCase());
+            clauses.push(`level IN (${levels.map(() => "?").join(", ")})`);
+            params.push(...levels);
+        }
+        if (query.logger) {
+            clauses.push("logger = ?");
+            params.push(query.logger);
+        }
+        if (query.text) {
+            clauses.push("LOWER(message) LIKE ? ESCAPE '\\'");
+            params.push(`%${String(query.text).toLowerCase().replace(/[\\%_]/g, "\\$&")}%`);
+        }
+        if (query.metadata) {
+            for (const [key, expected] of Object.entries(query.metadata)) {
+                clauses.push("json_extract(metadata, ?) = ?");
+                params.push(`$.${key}`, typeof expected === "boolean" ? Number(expected) : expected);
+            }
+        }
+
+        return { where: clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "", params };
+    }
+
+    query(query = {}) {
+        const { where, params } = this.buildWhere(query);
+        const direction = String(query.sort).toLowerCase() === "desc" ? "DESC" : "ASC";
+        let sql = `SELECT * FROM logs ${where} ORDER BY timestamp ${direction}, id ${direction}`;
+
+        if (query.limit || query.offset) {
+            sql += " LIMIT ? OFFSET ?";
+            params.push(query.limit || -1, query.offset || 0);
+        }
+
+        return this.db.prepare(sql).all(...params).map(row => ({
+            id: Number(row.id),
+            timestamp: new Date(row.timestamp),
+            level: row.level,
+            logger: row.logger,
+            message: row.message,
+            formatted: row.formatted,
+            metadata: JSON.parse(row.metadata || "{}")
+        }));
+    }
+
+    count(query = {}) {
+        const { where, params } = this.buildWhere(query);
+        return Number(this.db.prepare(`SELECT COUNT(*) AS count FROM logs ${where}`).get(...params).count);
+    }
+
+    clear() {
+        // Restart ids at 1 like the other stores (AUTOINCREMENT keeps its counter in sqlite_sequence)
+        this.db.exec("DELETE FROM logs; DELETE FROM sqlite_sequence WHERE name = 'logs';");
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    getConnectionString() {
+        return `sqlite://${this.filePath}`;
+    }
+}
+
+export default SqliteLogStore;
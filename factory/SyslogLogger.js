@@ -0,0 +1,349 @@
+import BaseLogger from "./BaseLogger.js";
+import metrics from "./LogMetrics.js";
+import { safeStringify } from "./SafeJson.js";
+import dgram from "dgram";
+import net from "net";
+import os from "os";
+
+/**
+ * SyslogLogger - sends RFC 5424 syslog messages over UDP, TCP or a Unix stream socket
+ * Concrete Product in the Factory pattern
+ *
+ * Frame: <PRI>1 TIMESTAMP HOSTNAME APP-NAME PROCID MSGID [STRUCTURED-DATA] MSG
+ * The record metadata becomes a structured data element, e.g. [meta@32473 requestId="req-1"].
+ *
+ * TCP uses octet-counting framing ("LEN frame", RFC 6587) by default; Unix sockets
+ * use newline-terminated frames, in which newlines of the message are escaped as "\n".
+ * When the connection fails, frames are queued (up to maxQueue, oldest dropped first),
+ * including frames whose write failed, and the logger reconnects with exponential backoff.
+ * Sockets are unref'd while idle so an open connection does not keep the process alive.
+ *
+ * The unix protocol needs a stream socket: Node cannot open Unix datagram sockets, so
+ * the datagram /dev/log of most Linux syslog daemons is not reachable. Use UDP or TCP
+ * to the local daemon, or a stream socket it listens on, instead.
+ */
+class SyslogLogger extends BaseLogger {
+    /**
+     * Transport protocols enum
+     */
+    static Protocols = {
+        UDP: "udp",
+        TCP: "tcp",
+        UNIX: "unix"
+    };
+
+    /**
+     * Syslog facility codes
+     */
+    static Facilities = {
+        kern: 0, user: 1, mail: 2, daemon: 3, auth: 4, syslog: 5, lpr: 6, news: 7,
+        uucp: 8, cron: 9, authpriv: 10, ftp: 11,
+        local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23
+    };
+
+    /**
+     * Syslog severity for each log level
+     */
+    static Severities = {
+        FATAL: 2, // Critical
+        ERROR: 3, // Error
+        WARN: 4, // Warning
+        AUDIT: 5, // Notice
+        INFO: 6, // Informational
+        DEBUG: 7, // Debug
+        TRACE: 7 // Debug
+    };
+
+    /**
+     * @param {Object} options - Logger options
+     * @param {string} options.protocol - "udp" (default), "tcp" or "unix"
+     * @param {string} options.host - Syslog host (default 127.0.0.1)
+     * @param {number} options.port - Syslog port (default 514 for UDP, 601 for TCP)
+     * @param {string} options.path - Stream socket path for the unix protocol (not a datagram socket such as /dev/log)
+     * @param {string|number} options.facility - Facility name or code (default "user")
+     * @param {string} options.appName - APP-NAME field (default "node")
+     * @param {string} options.hostname - HOSTNAME field (default os.hostname())
+     * @param {string} options.msgId - MSGID field (default "-")
+     * @param {string} options.sdId - SD-ID of the metadata element (default "meta@32473")
+     * @param {string} options.framing - "octet-counting" or "non-transparent" (stream protocols only)
+     * @param {number} options.maxQueue - Frames kept while disconnected (default 1000)
+     * @param {number} options.reconnectDelay - First reconnect delay in ms (default 1000)
+     * @param {number} options.maxReconnectDelay - Upper bound of the reconnect delay in ms (default 30000)
+     */
+    constructor(options = {}) {
+        super("SyslogLogger", options);
+        this.protocol = String(options.protocol || SyslogLogger.Protocols.UDP).toLowerCase();
+        if (!Object.values(SyslogLogger.Protocols).includes(this.protocol)) {
+            throw new Error(`Unknown syslog protocol: ${options.protocol}. Available protocols: ${Object.values(SyslogLogger.Protocols).join(", ")}`);
+        }
+        if (this.protocol === SyslogLogger.Protocols.UNIX && !options.path) {
+            throw new Error("The unix syslog protocol requires a socket path");
+        }
+
+        this.host = options.host || "127.0.0.1";
+        this.port = options.port || (this.protocol === SyslogLogger.Protocols.TCP ? 601 : 514);
+        this.path = options.path;
+        this.facility = SyslogLogger.resolveFacility(options.facility ?? "user");
+        this.appName = SyslogLogger.headerField(options.appName || "node", 48);
+        this.hostname = SyslogLogger.headerField(options.hostname || os.hostname(), 255);
+        this.msgId = SyslogLogger.headerField(options.msgId || "-", 32);
+        this.sdId = options.sdId || "meta@32473";
+        this.framing = options.framing
+            || (this.protocol === SyslogLogger.Protocols.TCP ? "octet-counting" : "non-transparent");
+        this.maxQueue = options.maxQueue || 1000;
+        this.reconnectDelay = options.reconnectDelay || 1000;
+        this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+
+        this.socket = null;
+        this.connected = false;
+        this.closed = false;
+        this.queue = [];
+        this.droppedCount = 0;
+        this.pendingWrites = 0;
+        this.idleWaiters = [];
+        this.currentDelay = this.reconnectDelay;
+        this.reconnectTimer = null;
+
+        this.connect();
+    }
+
+    /**
+     * Resolve a facility name or code
+     * @param {string|number} facility - Facility name (e.g. "local0") or code
+     * @returns {number} The facility code
+     */
+    static resolveFacility(facility) {
+        const code = typeof facility === "number" ? facility : SyslogLogger.Facilities[String(facility).toLowerCase()];
+        if (!Number.isInteger(code) || code < 0 || code > 23) {
+            throw new Error(`Unknown syslog facility: ${facility}`);
+        }
+        return code;
+    }
+
+    /**
+     * Make a header field valid: printable ASCII without spaces, bounded length, "-" when empty
+     * @param {string} value - The raw value
+     * @param {number} maxLength - Maximum length allowed by RFC 5424
+     * @returns {string} The header field
+     */
+    static headerField(value, maxLength) {
+        const cleaned = String(value).replace(/[^\x21-\x7e]/g, "_").slice(0, maxLength);
+        return cleaned || "-";
+    }
+
+    /**
+     * Build the structured data element from record metadata
+     * @param {Object} meta - The record metadata
+     * @returns {string} The STRUCTURED-DATA field ("-" when there is no metadata)
+     */
+    formatStructuredData(meta = {}) {
+        const params = Object.entries(meta)
+            .filter(([, value]) => value !== undefined)
+            .map(([key, value]) => {
+                const name = key.replace(/[^\x21-\x7e]|[= \]"]/g, "_").slice(0, 32);
+                const raw = typeof value === "object" && value !== null ? safeStringify(value) : String(value);
+                return `${name}="${raw.replace(/["\\\]]/g, "\\$&")}"`;
+            });
+
+        return params.length > 0 ? `[${this.sdId} ${params.join(" ")}]` : "-";
+    }
+
+    /**
+     * Build an RFC 5424 frame for a record
+     * @param {Object} record - The log record
+     * @returns {string} The syslog message
+     */
+    formatFrame(record) {
+        const severity = SyslogLogger.Severities[record.level] ?? 5;
+        const pri = this.facility * 8 + severity;
+        const header = [
+            `<${pri}>1`,
+            record.timestamp.toISOString(),
+            this.hostname,
+            this.appName,
+            String(process.pid),
+            this.msgId
+        ].join(" ");
+
+        return `${header} ${this.formatStructuredData(record.meta)} ${record.message}`;
+    }
+
+    /**
+     * Apply stream framing to a frame
+     * With non-transparent framing a newline ends the frame, so newlines inside it are escaped
+     * @param {string} frame - The syslog message
+     * @returns {Buffer} The bytes to send
+     */
+    frameForStream(frame) {
+        if (this.framing === "octet-counting") {
+            return Buffer.from(`${Buffer.byteLength(frame)} ${frame}`);
+        }
+        return Buffer.from(`${frame.replace(/\r?\n/g, "\\n")}\n`);
+    }
+
+    /**
+     * Open the socket for the configured protocol
+     */
+    connect() {
+        if (this.closed) {
+            return;
+        }
+
+        if (this.protocol === SyslogLogger.Protocols.UDP) {
+            this.socket = dgram.createSocket(net.isIPv6(this.host) ? "udp6" : "udp4");
+            this.socket.on("error", error => console.error(`Syslog socket error: ${error.message}`));
+            this.socket.unref();
+            this.connected = true;
+            return;
+        }
+
+        const socket = this.protocol === SyslogLogger.Protocols.UNIX
+            ? net.connect({ path: this.path })
+            : net.connect({ host: this.host, port: this.port });
+        this.socket = socket;
+        socket.unref();
+
+        socket.on("connect", () => {
+            this.connected = true;
+            this.currentDelay = this.reconnectDelay;
+            this.drainQueue();
+        });
+        socket.on("error", error => {
+            if (error.code === "EPROTOTYPE") {
+                console.error(`Syslog connection error: ${this.path} is a datagram socket, which Node cannot connect to; use a stream socket, UDP or TCP`);
+                return;
+            }
+            console.error(`Syslog connection error: ${error.message}`);
+        });
+        socket.on("close", () => {
+            if (this.socket === socket) {
+                this.connected = false;
+                this.socket = null;
+                this.scheduleReconnect();
+            }
+        });
+    }
+
+    /**
+     * Reconnect after a delay that doubles on every failure
+     */
+    scheduleReconnect() {
+        if (this.closed || this.reconnectTimer) {
+            return;
+        }
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, this.currentDelay);
+        this.reconnectTimer.unref();
+        this.currentDelay = Math.min(this.currentDelay * 2, this.maxReconnectDelay);
+    }
+
+    /**
+     * Queue a frame while disconnected, dropping the oldest when full
+     * @param {string} frame - The syslog message
+     */
+    enqueue(frame) {
+        this.queue.push(frame);
+        if (this.queue.length > this.maxQueue) {
+            this.queue.shift();
+            this.droppedCount++;
+            metrics.recordDropped(this.name, "queue_full");
+        }
+    }
+
+    /**
+     * Send queued frames once connected
+     */
+    drainQueue() {
+        const frames = this.queue.splice(0);
+        frames.forEach(frame => this.send(frame));
+    }
+
+    /**
+     * Send one frame, keeping the socket referenced until the write completes
+     * @param {string} frame - The syslog message
+     */
+    send(frame) {
+        if (!this.connected || !this.socket) {
+            this.enqueue(frame);
+            return;
+        }
+
+        const done = error => {
+            if (error && this.protocol !== SyslogLogger.Protocols.UDP && !this.closed) {
+                // The connection broke mid-write: send the frame again after reconnecting
+                this.enqueue(frame);
+            } else if (error) {
+                console.error(`Failed to send syslog message: ${error.message}`);
+            }
+            this.pendingWrites--;
+            if (this.pendingWrites === 0) {
+                if (this.socket) {
+                    this.socket.unref();
+                }
+                this.idleWaiters.splice(0).forEach(resolve => resolve());
+            }
+        };
+
+        this.pendingWrites++;
+        this.socket.ref();
+
+        if (this.protocol === SyslogLogger.Protocols.UDP) {
+            this.socket.send(Buffer.from(frame), this.port, this.host, done);
+        } else {
+            this.socket.write(this.frameForStream(frame), done);
+        }
+    }
+
+    writeRecord(record) {
+        this.send(this.formatFrame(record));
+    }
+
+    /**
+     * Number of frames dropped because the queue was full
+     * @returns {number} Dropped frame count
+     */
+    getDroppedCount() {
+        return this.droppedCount;
+    }
+
+    /**
+     * Wait until every frame handed to the socket has been written
+     * Frames still queued while disconnected are not waited for
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (this.pendingWrites === 0) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    /**
+     * Flush, stop reconnecting and close the socket
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.flush();
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        const socket = this.socket;
+        this.socket = null;
+        this.connected = false;
+        if (!socket) {
+            return;
+        }
+        await new Promise(resolve => {
+            if (this.protocol === SyslogLogger.Protocols.UDP) {
+                socket.close(resolve);
+            } else {
+                socket.end(resolve);
+            }
+        });
+    }
+}
+
+export default SyslogLogger;
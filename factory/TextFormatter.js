@@ -0,0 +1,31 @@
+import LogFormatter from "./LogFormatter.js";
+import { formatError } from "./ErrorSerializer.js";
+import { safeStringify } from "./SafeJson.js";
+
+/**
+ * TextFormatter - the default human-readable format
+ * Produces lines like: [2024-01-01T00:00:00.000Z] [INFO] [ConsoleLogger] message
+ * Metadata, when present, is appended as JSON: ... message {"requestId":"req-1"}
+ * Messages that are not strings are printed with util.inspect: ... { cacheHits: 12 }
+ * An error in `meta.err` is printed below the line with its stack and cause chain
+ */
+class TextFormatter extends LogFormatter {
+    constructor() {
+        super("text");
+    }
+
+    format(record) {
+        const { err, ...meta } = record.meta || {};
+        let line = `[${record.timestamp.toISOString()}] [${record.level}] [${record.logger}] ${LogFormatter.stringifyMessage(record.message)}`;
+
+        if (Object.keys(meta).length > 0) {
+            line += ` ${safeStringify(meta)}`;
+        }
+        if (err !== undefined) {
+            line += `\n${formatError(err, "    ")}`;
+        }
+        return line;
+    }
+}
+
+export default TextFormatter;
@@ -0,0 +1,356 @@
+import { Worker } from "worker_threads";
+import BaseLogger from "./BaseLogger.js";
+import { LevelSeverity } from "./LogLevels.js";
+import metrics from "./LogMetrics.js";
+import { safeStringify } from "./SafeJson.js";
+
+/**
+ * Open ThreadedLoggers, drained by a single pair of process listeners
+ */
+const openLoggers = new Set();
+
+/**
+ * Close every open ThreadedLogger when the event loop empties
+ */
+function onBeforeExit() {
+    openLoggers.forEach(logger => logger.close());
+}
+
+/**
+ * Drain every open ThreadedLogger synchronously when the process exits
+ * (process.exit() skips beforeExit)
+ */
+function onExit() {
+    openLoggers.forEach(logger => logger.drainSync());
+}
+
+/**
+ * ThreadedLogger - moves formatting and I/O to a worker thread
+ * Concrete Product in the Factory pattern
+ *
+ * Records are serialized to JSON on the calling thread and posted in batches to a
+ * worker_threads worker (log-worker.js), which builds the `target` logger tree with
+ * LoggerFactory.fromConfig() and writes them. One batch is in flight at a time;
+ * records logged meanwhile wait in a queue bounded by `maxQueue`. When it is full:
+ *   block        the caller waits (up to `blockTimeout` ms) for the worker to take a batch
+ *   drop-oldest  the oldest queued record is dropped to make room
+ *   drop-newest  the new record is dropped
+ * Dropped records are counted in log_records_dropped_total with reason "queue_full".
+ *
+ * close() drains the queue and closes the target tree. Open loggers are also drained
+ * when the event loop empties and, synchronously (up to `exitTimeout` ms), on
+ * process.exit(). The worker does not keep the process alive.
+ *
+ * The target is a configuration (node, profiles object or file path), not a logger
+ * instance, since the worker builds its own loggers; its metrics stay in the worker.
+ */
+class ThreadedLogger extends BaseLogger {
+    /**
+     * Overflow policies enum
+     */
+    static OverflowPolicies = {
+        BLOCK: "block",
+        DROP_OLDEST: "drop-oldest",
+        DROP_NEWEST: "drop-newest"
+    };
+
+    /**
+     * @param {Object} options - Logger options
+     * @param {Object|string} options.target - Logger configuration built in the worker (see LoggerFactory.fromConfig)
+     * @param {string} options.profile - Profile to use when the target has profiles
+     * @param {number} options.maxQueue - Records queued before the overflow policy applies (default 10000)
+     * @param {number} options.batchSize - Maximum records posted to the worker at once (default 1000)
+     * @param {string} options.overflow - "block", "drop-oldest" or "drop-newest" (default "block")
+     * @param {number} options.blockTimeout - Longest wait in ms for the block policy before the record is dropped (default 1000)
+     * @param {number} options.exitTimeout - Longest wait in ms for the worker to drain on process.exit() (default 5000)
+     */
+    constructor(options = {}) {
+        super("ThreadedLogger", options);
+        if (!options.target || options.target instanceof BaseLogger) {
+            throw new Error("ThreadedLogger requires a target logger configuration (the worker builds its own loggers)");
+        }
+
+        this.maxQueue = options.maxQueue || 10000;
+        this.batchSize = options.batchSize || 1000;
+        this.overflow = String(options.overflow || ThreadedLogger.OverflowPolicies.BLOCK).toLowerCase();
+        if (!Object.values(ThreadedLogger.OverflowPolicies).includes(this.overflow)) {
+            throw new Error(`Unknown overflow policy: ${options.overflow}. Available policies: ${Object.values(ThreadedLogger.OverflowPolicies).join(", ")}`);
+        }
+        this.blockTimeout = options.blockTimeout ?? 1000;
+        this.exitTimeout = options.exitTimeout ?? 5000;
+
+        this.queue = []; // Serialized records not yet posted to the worker
+        this.batchesPosted = 0;
+        this.pumpScheduled = false;
+        this.requests = new Map(); // Request id -> { resolve, reject }
+        this.nextRequestId = 1;
+        this.closing = null;
+        this.failed = null;
+        this.stats = { written: 0, dropped: 0, failures: 0 };
+
+        // state[0]: batches written by the worker, state[1]: 1 once the target is closed
+        this.state = new Int32Array(new SharedArrayBuffer(8));
+        this.worker = new Worker(new URL("./log-worker.js", import.meta.url), {
+            workerData: { target: options.target, profile: options.profile, levels: { ...LevelSeverity }, state: this.state }
+        });
+        this.worker.on("message", message => this.handleMessage(message));
+        this.worker.on("error", error => this.fail(error));
+        this.worker.on("exit", code => {
+            if (!this.isDrained()) {
+                this.fail(new Error(`Worker exited with code ${code}`));
+            }
+        });
+        this.worker.unref(); // After the listeners, which would otherwise keep the process alive
+
+        if (openLoggers.size === 0) {
+            process.on("beforeExit", onBeforeExit);
+            process.on("exit", onExit);
+        }
+        openLoggers.add(this);
+    }
+
+    /**
+     * Serialize a record for the worker
+     * Circular references are replaced and BigInts written as strings
+     * @param {Object} record - The log record
+     * @returns {string} JSON
+     */
+    static serializeRecord(record) {
+        return safeStringify(record);
+    }
+
+    writeRecord(record) {
+        if (this.closing || this.failed) {
+            this.drop(this.failed ? "worker_failed" : "closed");
+            return;
+        }
+        if (this.queue.length >= this.maxQueue && !this.makeRoom()) {
+            this.drop("queue_full");
+            return;
+        }
+
+        this.queue.push(ThreadedLogger.serializeRecord(record));
+        this.schedulePump();
+    }
+
+    /**
+     * Apply the overflow policy to a full queue
+     * @returns {boolean} True if the new record can be queued
+     */
+    makeRoom() {
+        switch (this.overflow) {
+            case ThreadedLogger.OverflowPolicies.DROP_OLDEST:
+                this.queue.shift();
+                this.drop("queue_full");
+                return true;
+
+            case ThreadedLogger.OverflowPolicies.BLOCK: {
+                const deadline = Date.now() + this.blockTimeout;
+                while (this.queue.length >= this.maxQueue) {
+                    const written = Atomics.load(this.state, 0);
+                    if (written === this.batchesPosted) {
+                        this.postBatch(this.batchSize);
+                        continue;
+                    }
+                    const remaining = deadline - Date.now();
+                    if (remaining <= 0 || Atomics.wait(this.state, 0, written, remaining) === "timed-out") {
+                        return false;
+                    }
+                }
+                return true;
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Count a dropped record
+     * @param {string} reason - Why it was dropped
+     */
+    drop(reason) {
+        this.stats.dropped++;
+        metrics.recordDropped(this.name, reason);
+    }
+
+    /**
+     * Post queued records on the next turn of the event loop, so records logged together travel together
+     */
+    schedulePump() {
+        if (this.pumpScheduled) {
+            return;
+        }
+        this.pumpScheduled = true;
+        setImmediate(() => {
+            this.pumpScheduled = false;
+            this.pump();
+        });
+    }
+
+    /**
+     * Post the next batch if the worker has written the previous one
+     */
+    pump() {
+        if (this.queue.length > 0 && !this.failed && Atomics.load(this.state, 0) === this.batchesPosted) {
+            this.postBatch(this.batchSize);
+        }
+    }
+
+    /**
+     * Post queued records to the worker
+     * @param {number} count - Maximum number of records to post
+     */
+    postBatch(count) {
+        while (this.queue.length > 0 && count > 0) {
+            const records = this.queue.splice(0, Math.min(count, this.batchSize));
+            count -= records.length;
+            this.batchesPosted = (this.batchesPosted + 1) | 0; // Wraps like the Int32 counter
+            this.worker.postMessage({ type: "records", records });
+        }
+    }
+
+    /**
+     * Handle a message from the worker
+     * @param {Object} message - { type: "done", count, failures } or { type: "reply", id, error }
+     */
+    handleMessage(message) {
+        if (message.type === "done") {
+            this.stats.written += message.count - message.failures;
+            for (let i = 0; i < message.failures; i++) {
+                this.stats.failures++;
+                metrics.recordWriteFailure(this.name);
+            }
+            this.pump();
+            return;
+        }
+
+        const request = this.requests.get(message.id);
+        if (request) {
+            this.requests.delete(message.id);
+            if (message.error) {
+                request.reject(new Error(message.error));
+            } else {
+                request.resolve();
+            }
+        }
+    }
+
+    /**
+     * Send a flush or close request to the worker
+     * @param {string} type - "flush" or "close"
+     * @returns {Promise<void>} Resolves when the worker has done it
+     */
+    request(type) {
+        if (this.failed) {
+            return Promise.reject(this.failed);
+        }
+        const id = this.nextRequestId++;
+        this.worker.ref(); // Keep the process alive until the worker answers
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject });
+            this.worker.postMessage({ type, id });
+        }).finally(() => {
+            if (this.requests.size === 0) {
+                this.worker.unref();
+            }
+        });
+    }
+
+    /**
+     * Stop using a worker that failed, dropping the queued records
+     * @param {Error} error - The failure
+     */
+    fail(error) {
+        if (this.failed) {
+            return;
+        }
+        this.failed = error;
+        console.error(`ThreadedLogger worker failed: ${error.message}`);
+        metrics.recordWriteFailure(this.name);
+        this.queue.splice(0).forEach(() => this.drop("worker_failed"));
+        this.requests.forEach(request => request.reject(error));
+        this.requests.clear();
+        openLoggers.delete(this);
+    }
+
+    /**
+     * Check whether the target has been closed
+     * @returns {boolean} True once the worker has closed the target
+     */
+    isDrained() {
+        return Atomics.load(this.state, 1) === 1;
+    }
+
+    /**
+     * Wait until every record logged so far has been written by the target
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (this.failed || this.isDrained()) {
+            return Promise.resolve();
+        }
+        this.postBatch(this.queue.length);
+        return this.request("flush");
+    }
+
+    /**
+     * Drain the queue, close the target tree and stop the worker
+     * Records logged after close() are dropped
+     * @returns {Promise<void>}
+     */
+    close() {
+        if (!this.closing) {
+            this.closing = (async () => {
+                try {
+                    if (!this.failed && !this.isDrained()) {
+                        this.postBatch(this.queue.length);
+                        await this.request("close");
+                    }
+                } finally {
+                    openLoggers.delete(this);
+                    if (openLoggers.size === 0) {
+                        process.off("beforeExit", onBeforeExit);
+                        process.off("exit", onExit);
+                    }
+                    await this.worker.terminate();
+                }
+            })();
+        }
+        return this.closing;
+    }
+
+    /**
+     * Drain the queue and close the target while blocking the calling thread
+     * Used on process.exit(), where asynchronous work can no longer run
+     */
+    drainSync() {
+        if (this.failed || this.isDrained()) {
+            return;
+        }
+        this.postBatch(this.queue.length);
+        if (!this.closing) {
+            this.closing = Promise.resolve();
+            this.worker.postMessage({ type: "close", id: 0 });
+        }
+
+        const deadline = Date.now() + this.exitTimeout;
+        while (!this.isDrained()) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0 || Atomics.wait(this.state, 1, 0, remaining) === "timed-out") {
+                console.error(`ThreadedLogger did not drain within ${this.exitTimeout}ms`);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Get queue statistics
+     * @returns {Object} { queued, written, dropped, failures } - written counts records the worker has handed to the target
+     */
+    getStatistics() {
+        return { queued: this.queue.length, ...this.stats };
+    }
+}
+
+export default ThreadedLogger;
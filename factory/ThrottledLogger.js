@@ -0,0 +1,251 @@
+import BaseLogger from "./BaseLogger.js";
+import metrics from "./LogMetrics.js";
+
+/**
+ * ThrottledLogger - wraps a logger with rate limiting, sampling and duplicate collapsing
+ * Decorator around any BaseLogger
+ *
+ * Records go through three stages before reaching the target:
+ *   1. Duplicate collapsing: a record identical to the previous one (same level and
+ *      message) within `dedupeWindow` ms is suppressed; when the run ends a
+ *      "Last message repeated N times" record is written instead.
+ *   2. Sampling: levels listed in `sampling` are kept with the given probability.
+ *   3. Rate limiting: levels listed in `rateLimits` use a token bucket of
+ *      `burst` tokens refilled at `rate` tokens per second.
+ * Dropped records are counted (see getDroppedCounts()) and, with `reportInterval`,
+ * periodically reported to the target as a WARN record.
+ */
+class ThrottledLogger extends BaseLogger {
+    /**
+     * Records are counted by the target that writes them
+     */
+    static forwardsRecords = true;
+
+    /**
+     * @param {BaseLogger} target - The logger that receives the records that pass
+     * @param {Object} options - Logger options
+     * @param {Object} options.rateLimits - Per-level token buckets, e.g. { ERROR: { rate: 10, burst: 20 } }; "*" applies to every level
+     * @param {Object} options.sampling - Per-level keep probability, e.g. { DEBUG: 0.1, INFO: 0.5 }
+     * @param {number} options.dedupeWindow - Collapse identical consecutive records within this many ms (0 disables)
+     * @param {number} options.reportInterval - Report dropped counts at most every this many ms (0 disables)
+     * @param {Function} options.random - Random number source for sampling (default Math.random)
+     */
+    constructor(target, options = {}) {
+        super("ThrottledLogger", options);
+        if (!(target instanceof BaseLogger)) {
+            throw new Error("ThrottledLogger target must be an instance of BaseLogger");
+        }
+
+        this.target = target;
+        this.rateLimits = ThrottledLogger.upperCaseKeys(options.rateLimits);
+        this.sampling = ThrottledLogger.upperCaseKeys(options.sampling);
+        this.dedupeWindow = options.dedupeWindow || 0;
+        this.reportInterval = options.reportInterval || 0;
+        this.random = options.random || Math.random;
+
+        this.buckets = new Map();
+        this.duplicate = null; // { record, key, count, timer }
+        this.dropped = { rateLimited: {}, sampled: {}, collapsed: 0 };
+        this.droppedSinceReport = 0;
+        this.lastReport = Date.now();
+    }
+
+    /**
+     * Normalize per-level option keys to upper case
+     * @param {Object} levels - Object keyed by level name
+     * @returns {Object} The same object with upper-case keys
+     */
+    static upperCaseKeys(levels = {}) {
+        return Object.fromEntries(Object.entries(levels).map(([level, value]) => [level.toUpperCase(), value]));
+    }
+
+    isLevelEnabled(level) {
+        return super.isLevelEnabled(level) && this.target.isLevelEnabled(level);
+    }
+
+    writeRecord(record) {
+        if (this.collapse(record)) {
+            return;
+        }
+        if (!this.sample(record)) {
+            this.countDrop("sampled", record.level);
+            return;
+        }
+        if (!this.takeToken(record.level)) {
+            this.countDrop("rateLimited", record.level);
+            return;
+        }
+        this.forward(record);
+    }
+
+    /**
+     * Pass a record to the target, reporting drops first when it is time to
+     * @param {Object} record - The log record
+     */
+    forward(record) {
+        if (this.reportInterval && this.droppedSinceReport > 0 && Date.now() - this.lastReport >= this.reportInterval) {
+            this.report();
+        }
+        this.target.handleRecord({ ...record, logger: this.target.name });
+    }
+
+    /**
+     * Track runs of identical records
+     * @param {Object} record - The log record
+     * @returns {boolean} True if the record was collapsed into the current run
+     */
+    collapse(record) {
+        if (!this.dedupeWindow) {
+            return false;
+        }
+
+        const key = `${record.level}\u0000${record.message}`;
+        if (this.duplicate && this.duplicate.key === key) {
+            this.duplicate.count++;
+            this.dropped.collapsed++;
+            metrics.recordDropped(this.name, "collapsed");
+            return true;
+        }
+
+        this.endDuplicateRun();
+        const timer = setTimeout(() => this.expireDuplicateRun(), this.dedupeWindow);
+        timer.unref(); // a pending summary must not keep the process alive
+        this.duplicate = { key, record, count: 0, timer };
+        return false;
+    }
+
+    /**
+     * Close the current run of identical records, writing a summary if any were collapsed
+     */
+    endDuplicateRun() {
+        if (!this.duplicate) {
+            return;
+        }
+
+        const { record, count, timer } = this.duplicate;
+        clearTimeout(timer);
+        this.duplicate = null;
+
+        if (count > 0) {
+            this.forward({
+                ...record,
+                timestamp: new Date(),
+                message: `Last message repeated ${count} time${count === 1 ? "" : "s"}: ${record.message}`,
+                meta: { ...record.meta, repeated: count }
+            });
+        }
+    }
+
+    /**
+     * End the current run when its window expires
+     * Runs from a timer, so a failing target is reported instead of thrown
+     */
+    expireDuplicateRun() {
+        try {
+            this.endDuplicateRun();
+        } catch (error) {
+            console.error(`Failed to write repeat summary: ${error.message}`);
+            metrics.recordWriteFailure(this.name);
+        }
+    }
+
+    /**
+     * Decide whether a record survives sampling
+     * @param {Object} record - The log record
+     * @returns {boolean} True if the record is kept
+     */
+    sample(record) {
+        const probability = this.sampling[record.level];
+        return probability === undefined || this.random() < probability;
+    }
+
+    /**
+     * Take a token from the level's bucket
+     * @param {string} level - The log level
+     * @returns {boolean} True if a token was available (or the level is not limited)
+     */
+    takeToken(level) {
+        const limit = this.rateLimits[level] || this.rateLimits["*"];
+        if (!limit) {
+            return true;
+        }
+
+        const now = Date.now();
+        const capacity = limit.burst || limit.rate;
+        const bucket = this.buckets.get(level) || { tokens: capacity, updatedAt: now };
+        bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.rate);
+        bucket.updatedAt = now;
+        this.buckets.set(level, bucket);
+
+        if (bucket.tokens < 1) {
+            return false;
+        }
+        bucket.tokens -= 1;
+        return true;
+    }
+
+    /**
+     * Count a dropped record
+     * @param {string} reason - "rateLimited" or "sampled"
+     * @param {string} level - The record level
+     */
+    countDrop(reason, level) {
+        this.dropped[reason][level] = (this.dropped[reason][level] || 0) + 1;
+        this.droppedSinceReport++;
+        metrics.recordDropped(this.name, reason === "rateLimited" ? "rate_limited" : reason);
+    }
+
+    /**
+     * Write a WARN record with the number of records dropped since the last report
+     */
+    report() {
+        const count = this.droppedSinceReport;
+        this.droppedSinceReport = 0;
+        this.lastReport = Date.now();
+        this.target.handleRecord({
+            timestamp: new Date(),
+            level: "WARN",
+            logger: this.target.name,
+            message: `Dropped ${count} log record${count === 1 ? "" : "s"} (rate limiting and sampling)`,
+            meta: { dropped: count }
+        });
+    }
+
+    /**
+     * Get the number of records dropped so far
+     * @returns {Object} { rateLimited: { LEVEL: n }, sampled: { LEVEL: n }, collapsed: n, total: n }
+     */
+    getDroppedCounts() {
+        const sum = counts => Object.values(counts).reduce((total, count) => total + count, 0);
+        return {
+            rateLimited: { ...this.dropped.rateLimited },
+            sampled: { ...this.dropped.sampled },
+            collapsed: this.dropped.collapsed,
+            total: sum(this.dropped.rateLimited) + sum(this.dropped.sampled) + this.dropped.collapsed
+        };
+    }
+
+    getDependencies() {
+        return [this.target];
+    }
+
+    /**
+     * Write the pending repeat summary and flush the target
+     * @returns {Promise<void>}
+     */
+    flush() {
+        this.endDuplicateRun();
+        return this.target.flush();
+    }
+
+    /**
+     * Write the pending repeat summary and close the target
+     * @returns {Promise<void>}
+     */
+    close() {
+        this.endDuplicateRun();
+        return this.target.close();
+    }
+}
+
+export default ThrottledLogger;
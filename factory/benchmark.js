@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+import fs from "fs";
+import { parseArgs } from "util";
+import LoggerBenchmark from "./LoggerBenchmark.js";
+
+/**
+ * benchmark - measure logger throughput and latency, and catch regressions
+ *
+ * Runs the LoggerBenchmark scenarios and prints a table of calls per second and
+ * per-call latency percentiles. Save a run with --save and compare later runs
+ * with --baseline; the command exits with status 1 when a scenario's throughput
+ * drops by more than --tolerance percent.
+ *
+ * Usage: node factory/benchmark.js [options]
+ *        npm run bench -- [options]
+ */
+
+const USAGE = `Usage: benchmark [options]
+
+Options:
+  -n, --iterations <n>    Measured calls per scenario (default 10000)
+  -w, --warmup <n>        Unmeasured calls before measuring (default 1000)
+  -s, --scenario <name>   Only run this scenario (repeatable)
+      --list              List the scenarios and exit
+      --json              Print the results as JSON
+      --save <file>       Write the results to a JSON file, for use as a baseline
+      --baseline <file>   Compare throughput against results saved with --save
+      --tolerance <pct>   Allowed throughput drop against the baseline (default 20)
+  -h, --help              Show this help`;
+
+/**
+ * Parse a non-negative integer option
+ * @param {string} option - The option name, for error messages
+ * @param {string} value - The option value
+ * @returns {number|undefined} The number, or undefined if the option was not given
+ */
+function parseCount(option, value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`Invalid --${option}: ${value}`);
+    }
+    return number;
+}
+
+/**
+ * Parse the command line
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} The options
+ */
+function parseCommandLine(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            iterations: { type: "string", short: "n" },
+            warmup: { type: "string", short: "w" },
+            scenario: { type: "string", short: "s", multiple: true },
+            list: { type: "boolean" },
+            json: { type: "boolean" },
+            save: { type: "string" },
+            baseline: { type: "string" },
+            tolerance: { type: "string", default: "20" },
+            help: { type: "boolean", short: "h" }
+        }
+    });
+
+    const tolerance = Number(values.tolerance);
+    if (!(tolerance >= 0)) {
+        throw new Error(`Invalid --tolerance: ${values.tolerance}`);
+    }
+    const iterations = parseCount("iterations", values.iterations);
+    if (iterations === 0) {
+        throw new Error("--iterations must be at least 1");
+    }
+
+    return {
+        iterations,
+        warmup: parseCount("warmup", values.warmup),
+        scenarios: values.scenario || null,
+        list: values.list,
+        json: values.json,
+        save: values.save || null,
+        baseline: values.baseline || null,
+        tolerance,
+        help: values.help
+    };
+}
+
+/**
+ * Read results saved with --save
+ * @param {string} file - The baseline file
+ * @returns {Array<Object>} The saved results
+ */
+function readBaseline(file) {
+    let saved;
+    try {
+        saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new Error(`Cannot read baseline ${file}: ${error.message}`);
+    }
+    if (!saved || !Array.isArray(saved.results)) {
+        throw new Error(`Invalid baseline ${file}: expected the output of --save`);
+    }
+    return saved.results;
+}
+
+/**
+ * Format one result as a table row
+ * @param {Object} result - The scenario result
+ * @returns {string} The row
+ */
+function formatRow(result) {
+    const { p50, p95, p99, max } = result.latency;
+    return [
+        result.name.padEnd(20),
+        result.opsPerSec.toLocaleString("en-US").padStart(12),
+        ...[p50, p95, p99, max].map(value => value.toFixed(2).padStart(10))
+    ].join(" ");
+}
+
+/**
+ * Print the comparison against the baseline
+ * @param {Array<Object>} comparison - The output of LoggerBenchmark.compare()
+ * @param {number} tolerance - Allowed drop in percent
+ */
+function printComparison(comparison, tolerance) {
+    console.log(`\nAgainst baseline (tolerance ${tolerance}%):`);
+    comparison.forEach(({ name, opsPerSec, baselineOpsPerSec, change, regressed }) => {
+        const sign = change > 0 ? "+" : "";
+        const status = regressed ? "REGRESSION" : "ok";
+        console.log(`  ${name.padEnd(20)} ${baselineOpsPerSec.toLocaleString("en-US").padStart(12)} -> ${opsPerSec.toLocaleString("en-US").padStart(12)} ops/s  ${`${sign}${change}%`.padStart(8)}  ${status}`);
+    });
+}
+
+/**
+ * Run the benchmark
+ * @param {Array<string>} args - Command line arguments
+ */
+async function main(args) {
+    const options = parseCommandLine(args);
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const benchmark = new LoggerBenchmark({ iterations: options.iterations, warmup: options.warmup });
+    if (options.list) {
+        benchmark.getScenarioNames().forEach(name => console.log(`${name.padEnd(20)} ${benchmark.scenarios.get(name).description}`));
+        return;
+    }
+
+    const names = options.scenarios || benchmark.getScenarioNames();
+    names.forEach(name => {
+        if (!benchmark.scenarios.has(name)) {
+            throw new Error(`Unknown scenario: ${name}. Available scenarios: ${benchmark.getScenarioNames().join(", ")}`);
+        }
+    });
+    const baseline = options.baseline ? readBaseline(options.baseline) : null;
+
+    if (!options.json) {
+        console.log(`Node.js ${process.version}, ${benchmark.iterations} iterations per scenario (${benchmark.warmup} warmup)\n`);
+        console.log(`${"scenario".padEnd(20)} ${"ops/s".padStart(12)} ${"p50 µs".padStart(10)} ${"p95 µs".padStart(10)} ${"p99 µs".padStart(10)} ${"max µs".padStart(10)}`);
+    }
+    const results = await benchmark.run(names, result => {
+        if (!options.json) {
+            console.log(formatRow(result));
+        }
+    });
+
+    const report = {
+        node: process.version,
+        platform: `${process.platform}-${process.arch}`,
+        date: new Date().toISOString(),
+        iterations: benchmark.iterations,
+        warmup: benchmark.warmup,
+        results
+    };
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    }
+    if (options.save) {
+        fs.writeFileSync(options.save, `${JSON.stringify(report, null, 2)}\n`);
+        if (!options.json) {
+            console.log(`\nResults saved to ${options.save}`);
+        }
+    }
+
+    if (baseline) {
+        const comparison = LoggerBenchmark.compare(results, baseline, options.tolerance);
+        if (!options.json) {
+            printComparison(comparison, options.tolerance);
+        }
+        const regressions = comparison.filter(entry => entry.regressed);
+        if (regressions.length > 0) {
+            console.error(`benchmark: throughput regressed in ${regressions.map(entry => entry.name).join(", ")}`);
+            process.exitCode = 1;
+        }
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`benchmark: ${error.message}`);
+    process.exitCode = 1;
+});
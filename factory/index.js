@@ -28,6 +28,7 @@ dbLogger.log("This message is saved to database");
 dbLogger.warn("This warning is saved to database");
 dbLogger.error("This error is saved to database");
 console.log(`✓ Total logs in database: ${dbLogger.getAllLogs().length}`);
+console.log(`✓ Warnings and errors: ${dbLogger.query({ level: ["WARN", "ERROR"], sort: "desc" }).length}`);
 console.log();
 
 // Example 2: Create a composite logger
@@ -69,8 +70,63 @@ const availableTypes = LoggerFactory.getAvailableTypes();
 console.log(`Available types: ${availableTypes.join(", ")}`);
 console.log();
 
-// Example 5: Real-world usage scenario
-console.log("5. Real-world usage scenario - Application lifecycle:");
+// Example 5: Pluggable formatters
+console.log("5. Pluggable formatters (JSON, logfmt, custom pattern):");
+console.log("-".repeat(60));
+
+const jsonLogger = LoggerFactory.createLogger("console", { format: "json" });
+jsonLogger.log("Newline-delimited JSON for log shippers");
+
+const logfmtLogger = LoggerFactory.createLogger("console", { format: "logfmt" });
+logfmtLogger.warn("key=value pairs in logfmt style");
+
+const patternLogger = LoggerFactory.createLogger("console", { format: "%d %-5level %logger - %msg" });
+patternLogger.log("Custom pattern layout");
+console.log();
+
+// Example 6: Level thresholds and routing
+console.log("6. Level-based routing (console DEBUG+, file INFO+, database ERROR only):");
+console.log("-".repeat(60));
+
+const routedLogger = LoggerFactory.createCompositeLogger(
+    ["console", "file", "database"],
+    { filename: "composite.log", levels: { console: "DEBUG", file: "INFO", database: "ERROR" } }
+);
+routedLogger.debug("Debug goes to the console only");
+routedLogger.log("Info goes to the console and file");
+routedLogger.error("Errors go everywhere");
+routedLogger.setLoggerLevel("ConsoleLogger", "WARN");
+routedLogger.log("Console threshold raised to WARN at runtime - this info reaches the file only");
+console.log();
+
+// Example 7: Structured metadata and child loggers
+console.log("7. Structured metadata and child loggers:");
+console.log("-".repeat(60));
+
+const requestLogger = LoggerFactory.createLogger("console").child({ requestId: "req-123" });
+requestLogger.info("Fetching user", { userId: 42 });
+requestLogger.child({ orderId: "order-456" }).warn("Order is missing a shipping address");
+console.log();
+
+// Example 8: Ring buffer - debug history written only when an error occurs
+console.log("8. Ring buffer - recent history written on error:");
+console.log("-".repeat(60));
+
+const ringLogger = LoggerFactory.createLogger("ringbuffer", {
+    target: { type: "console" },
+    capacity: 3,
+    triggerLevel: "ERROR"
+});
+ringLogger.debug("Cache miss for user 42");
+ringLogger.debug("Loading user 42 from the database");
+ringLogger.debug("Query took 1200ms");
+ringLogger.info("Retrying with the replica");
+console.log(`(nothing written yet - ${ringLogger.getStatistics().buffered} records buffered)`);
+ringLogger.error("User lookup failed");
+console.log();
+
+// Example 9: Real-world usage scenario
+console.log("9. Real-world usage scenario - Application lifecycle:");
 console.log("-".repeat(60));
 
 // Simulate an application using the factory pattern
@@ -90,7 +146,7 @@ class Application {
     }
 
     handleError(error) {
-        this.logger.error(`Application error: ${error}`);
+        this.logger.error("Application error", { err: error });
     }
 
     shutdown() {
@@ -102,7 +158,7 @@ const app = new Application("development");
 app.start();
 app.processData("user-data-123");
 app.processData("order-456");
-app.handleError("Connection timeout");
+app.handleError(new Error("Connection timeout", { cause: new Error("ECONNREFUSED 127.0.0.1:5432") }));
 app.shutdown();
 
 console.log();
@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+import fs from "fs";
+import { parseArgs } from "util";
+import LogParser from "./LogParser.js";
+
+/**
+ * inspect-logs - search, filter, count and follow log files
+ *
+ * Reads files written by FileLogger (text or JSON format), the JSONL database
+ * store and the singleton logger, including rotated and gzipped archives.
+ *
+ * Usage: node factory/inspect-logs.js [options] <file...>
+ *        npm run logs -- [options] <file...>
+ */
+
+const USAGE = `Usage: inspect-logs [options] <file...>
+
+Options:
+  -l, --level <level>     Minimum level (e.g. WARN), or a comma-separated list of exact levels
+  -c, --logger <name>     Only records from this logger (repeatable)
+      --from <time>       Records at or after an ISO time or a relative time (15m, 2h, 1d ago)
+      --to <time>         Records at or before an ISO time or a relative time
+  -g, --grep <regex>      Only records whose line (or stack) matches the regular expression
+  -i, --ignore-case       Case-insensitive --grep
+  -n, --lines <n>         Only the last n matching records
+  -r, --rotated           Include rotated archives of each file (app.log.1, app.log.2024-01-01.gz, ...)
+  -f, --follow            Keep printing records as they are appended (like tail -f)
+      --count <by>        Print counts instead of records: "level" or "minute"
+  -o, --output <format>   "text" (default, the original lines), "json" or "table"
+  -h, --help              Show this help`;
+
+/**
+ * Output formats enum
+ */
+const OutputFormats = {
+    TEXT: "text",
+    JSON: "json",
+    TABLE: "table"
+};
+
+/**
+ * Count groupings enum
+ */
+const CountModes = {
+    LEVEL: "level",
+    MINUTE: "minute"
+};
+
+/**
+ * Parse a time option
+ * @param {string} value - ISO time or a relative time such as "15m", "2h" or "1d"
+ * @param {string} option - The option name, for error messages
+ * @returns {Date} The time
+ */
+function parseTime(value, option) {
+    const relative = /^(\d+)([smhd])$/.exec(value);
+    if (relative) {
+        const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+        return new Date(Date.now() - parseInt(relative[1], 10) * units[relative[2]]);
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid --${option}: ${value}. Use an ISO time or a relative time such as 15m, 2h or 1d`);
+    }
+    return date;
+}
+
+/**
+ * Check that an option value is one of the allowed values
+ * @param {string} option - The option name
+ * @param {string} value - The option value
+ * @param {Object} allowed - Enum of allowed values
+ * @returns {string} The value
+ */
+function validate(option, value, allowed) {
+    if (!Object.values(allowed).includes(value)) {
+        throw new Error(`Unknown --${option}: ${value}. Available values: ${Object.values(allowed).join(", ")}`);
+    }
+    return value;
+}
+
+/**
+ * Parse the command line
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} { files, filter, options }
+ */
+function parseCommandLine(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            level: { type: "string", short: "l" },
+            logger: { type: "string", short: "c", multiple: true },
+            from: { type: "string" },
+            to: { type: "string" },
+            grep: { type: "string", short: "g" },
+            "ignore-case": { type: "boolean", short: "i" },
+            lines: { type: "string", short: "n" },
+            rotated: { type: "boolean", short: "r" },
+            follow: { type: "boolean", short: "f" },
+            count: { type: "string" },
+            output: { type: "string", short: "o", default: OutputFormats.TEXT },
+            help: { type: "boolean", short: "h" }
+        }
+    });
+
+    const filter = {};
+    if (values.level) {
+        filter.level = values.level.includes(",") ? values.level.split(",").map(level => level.trim()) : values.level;
+    }
+    if (values.logger) filter.logger = values.logger;
+    if (values.from) filter.from = parseTime(values.from, "from");
+    if (values.to) filter.to = parseTime(values.to, "to");
+    if (values.grep) filter.pattern = new RegExp(values.grep, values["ignore-case"] ? "i" : "");
+
+    const lines = values.lines === undefined ? null : parseInt(values.lines, 10);
+    if (lines !== null && !(lines >= 0)) {
+        throw new Error(`Invalid --lines: ${values.lines}`);
+    }
+
+    const options = {
+        help: values.help,
+        lines,
+        rotated: values.rotated,
+        follow: values.follow,
+        count: values.count ? validate("count", values.count, CountModes) : null,
+        output: validate("output", values.output, OutputFormats)
+    };
+
+    if (options.follow && options.count) {
+        throw new Error("--count cannot be combined with --follow");
+    }
+
+    return { files: positionals, filter, options };
+}
+
+/**
+ * Read the matching records of all files, sorted by time when several files are read
+ * @param {LogParser} parser - The parser
+ * @param {Array<string>} files - The files
+ * @param {Object} filter - The record filter
+ * @param {boolean} rotated - Include rotated archives
+ * @returns {Array<Object>} The matching records
+ */
+function readRecords(parser, files, filter, rotated) {
+    const paths = files.flatMap(file => {
+        const found = rotated ? parser.listWithArchives(file) : (fs.existsSync(file) ? [file] : []);
+        if (found.length === 0) {
+            throw new Error(`Log file not found: ${file}`);
+        }
+        return found;
+    });
+
+    const records = paths.flatMap(file => parser.parseFile(file)).filter(record => LogParser.matches(record, filter));
+    if (paths.length > 1) {
+        records.sort((a, b) => a.timestamp - b.timestamp);
+    }
+    return records;
+}
+
+/**
+ * Count records per level or per minute
+ * @param {Array<Object>} records - The records
+ * @param {string} mode - "level" or "minute"
+ * @returns {Object} { LEVEL: n } or { "YYYY-MM-DDTHH:MM": { total, LEVEL: n } }
+ */
+function countRecords(records, mode) {
+    const counts = {};
+    for (const record of records) {
+        if (mode === CountModes.LEVEL) {
+            counts[record.level] = (counts[record.level] || 0) + 1;
+        } else {
+            const minute = record.timestamp.toISOString().slice(0, 16);
+            const bucket = counts[minute] || (counts[minute] = { total: 0 });
+            bucket.total++;
+            bucket[record.level] = (bucket[record.level] || 0) + 1;
+        }
+    }
+    return counts;
+}
+
+/**
+ * Convert a record to the object printed by --output json
+ * @param {Object} record - The record
+ * @returns {Object} The printable record
+ */
+function toJson(record) {
+    const output = {
+        timestamp: record.timestamp.toISOString(),
+        level: record.level,
+        logger: record.logger,
+        message: record.message
+    };
+    if (Object.keys(record.meta).length > 0) output.meta = record.meta;
+    if (record.stack) output.stack = record.stack;
+    return output;
+}
+
+/**
+ * Render rows as a padded table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Table rows
+ * @returns {string} The table
+ */
+function renderTable(headers, rows) {
+    // The last column is not padded, so its width (and rule) is that of its header
+    const widths = headers.map((header, column) => (column === headers.length - 1
+        ? header.length
+        : Math.max(header.length, ...rows.map(row => row[column].length))));
+    const render = row => row.map((cell, column) => (column === row.length - 1 ? cell : cell.padEnd(widths[column]))).join("  ");
+    return [render(headers), render(widths.map(width => "-".repeat(width))), ...rows.map(render)].join("\n");
+}
+
+/**
+ * Get the table columns of a record
+ * @param {Object} record - The record
+ * Serialized errors are shortened to their name and message
+ * @returns {Array<string>} TIME, LEVEL, LOGGER and MESSAGE cells
+ */
+function toRow(record) {
+    const { err, ...meta } = record.meta;
+    let message = record.message;
+    if (Object.keys(meta).length > 0) message += ` ${JSON.stringify(meta)}`;
+    if (err && err.message !== record.message) message += ` (${err.name || "Error"}: ${err.message})`;
+    return [record.timestamp.toISOString(), record.level, record.logger || "-", message];
+}
+
+/**
+ * Print records in the selected output format
+ * @param {Array<Object>} records - The records
+ * @param {string} output - The output format
+ */
+function printRecords(records, output) {
+    if (output === OutputFormats.TABLE) {
+        if (records.length > 0) {
+            console.log(renderTable(["TIME", "LEVEL", "LOGGER", "MESSAGE"], records.map(toRow)));
+        }
+        return;
+    }
+
+    for (const record of records) {
+        if (output === OutputFormats.JSON) {
+            console.log(JSON.stringify(toJson(record)));
+        } else {
+            console.log(record.stack ? `${record.line}\n${record.stack}` : record.line);
+        }
+    }
+}
+
+/**
+ * Print counts in the selected output format
+ * @param {Object} counts - Result of countRecords()
+ * @param {string} mode - "level" or "minute"
+ * @param {string} output - The output format
+ */
+function printCounts(counts, mode, output) {
+    if (output === OutputFormats.JSON) {
+        console.log(JSON.stringify(counts, null, 2));
+        return;
+    }
+
+    if (mode === CountModes.LEVEL) {
+        const rows = Object.entries(counts).map(([level, count]) => [level, String(count)]);
+        console.log(renderTable(["LEVEL", "COUNT"], rows));
+        return;
+    }
+
+    const levels = [...new Set(Object.values(counts).flatMap(bucket => Object.keys(bucket).filter(key => key !== "total")))];
+    const rows = Object.entries(counts).map(([minute, bucket]) => [
+        minute,
+        String(bucket.total),
+        ...levels.map(level => String(bucket[level] || 0))
+    ]);
+    console.log(renderTable(["MINUTE", "TOTAL", ...levels], rows));
+}
+
+/**
+ * Follow files and print matching records as they are appended
+ * Truncated or rotated files (a new inode) are read again from the start
+ * @param {LogParser} parser - The parser
+ * @param {Array<string>} files - The files to follow
+ * @param {Object} filter - The record filter
+ * @param {string} output - The output format
+ */
+function followFiles(parser, files, filter, output) {
+    for (const file of files) {
+        if (file.endsWith(".gz")) {
+            throw new Error(`Cannot follow a compressed archive: ${file}`);
+        }
+
+        let position = fs.existsSync(file) ? fs.statSync(file).size : 0;
+        let remainder = "";
+
+        fs.watchFile(file, { interval: 500 }, (current, previous) => {
+            if (current.ino !== previous.ino || current.size < position) {
+                position = 0;
+                remainder = "";
+            }
+            if (current.size <= position) {
+                return;
+            }
+
+            const buffer = Buffer.alloc(current.size - position);
+            const fd = fs.openSync(file, "r");
+            fs.readSync(fd, buffer, 0, buffer.length, position);
+            fs.closeSync(fd);
+            position = current.size;
+
+            const text = remainder + buffer.toString("utf8");
+            const complete = text.lastIndexOf("\n") + 1;
+            remainder = text.slice(complete);
+
+            const records = parser.parse(text.slice(0, complete)).filter(record => LogParser.matches(record, filter));
+            // Table columns cannot be aligned across updates, so followed tables are printed as text
+            printRecords(records, output === OutputFormats.TABLE ? OutputFormats.TEXT : output);
+        });
+    }
+
+    const stop = () => {
+        files.forEach(file => fs.unwatchFile(file));
+    };
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+}
+
+/**
+ * Run the command
+ * @param {Array<string>} args - Command line arguments
+ */
+function main(args) {
+    const { files, filter, options } = parseCommandLine(args);
+    if (options.help || files.length === 0) {
+        console.log(USAGE);
+        process.exitCode = options.help ? 0 : 1;
+        return;
+    }
+
+    const parser = new LogParser();
+    let records = readRecords(parser, files, filter, options.rotated);
+
+    if (options.count) {
+        printCounts(countRecords(records, options.count), options.count, options.output);
+        return;
+    }
+
+    if (options.lines !== null) {
+        records = options.lines === 0 ? [] : records.slice(-options.lines);
+    } else if (options.follow) {
+        records = records.slice(-10);
+    }
+    printRecords(records, options.output);
+
+    if (options.follow) {
+        followFiles(parser, files, filter, options.output);
+    }
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    console.error(`inspect-logs: ${error.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,92 @@
+import { parentPort, workerData } from "worker_threads";
+import LoggerFactory from "./LoggerFactory.js";
+import { LevelSeverity } from "./LogLevels.js";
+
+/**
+ * log-worker - worker thread behind ThreadedLogger
+ *
+ * Builds the target logger tree with LoggerFactory.fromConfig() and writes the
+ * records posted by the main thread. Messages from the main thread:
+ *   { type: "records", records }  JSON-serialized records, written in order
+ *   { type: "flush", id }          flush the tree, then reply
+ *   { type: "close", id }          close the tree, then reply and set the closed flag
+ * Every "records" batch increments state[0] once written, and closing sets state[1],
+ * so the main thread can wait for either with Atomics.wait() while it blocks.
+ */
+
+const { target, profile, levels, state } = workerData;
+
+// Levels defined on the main thread (custom levels included) are needed here too
+Object.entries(levels).forEach(([name, severity]) => {
+    if (!(name in LevelSeverity)) {
+        LoggerFactory.defineLevel(name, severity);
+    }
+});
+
+const logger = LoggerFactory.fromConfig(target, { profile });
+
+/**
+ * Write a batch of serialized records
+ * @param {Array<string>} records - JSON-serialized records
+ * @returns {number} The number of records that failed to write
+ */
+function writeRecords(records) {
+    let failures = 0;
+    for (const line of records) {
+        try {
+            const record = JSON.parse(line);
+            logger.handleRecord({ ...record, timestamp: new Date(record.timestamp), logger: logger.name });
+        } catch (error) {
+            failures++;
+            console.error(`ThreadedLogger worker failed to write a record: ${error.message}`);
+        }
+    }
+    return failures;
+}
+
+/**
+ * Set the closed flag, waking a main thread blocked in drainSync()
+ * Set before replying, so the main thread never sees the reply without the flag
+ */
+function markClosed() {
+    Atomics.store(state, 1, 1);
+    Atomics.notify(state, 1);
+}
+
+/**
+ * Reply to a flush or close request
+ * @param {number} id - Request id
+ * @param {Promise<void>} operation - The flush or close
+ */
+async function reply(id, operation) {
+    try {
+        await operation;
+        parentPort.postMessage({ type: "reply", id });
+    } catch (error) {
+        parentPort.postMessage({ type: "reply", id, error: error.message });
+    }
+}
+
+parentPort.on("message", async message => {
+    switch (message.type) {
+        case "records": {
+            const failures = writeRecords(message.records);
+            Atomics.add(state, 0, 1);
+            Atomics.notify(state, 0);
+            parentPort.postMessage({ type: "done", count: message.records.length, failures });
+            break;
+        }
+
+        case "flush":
+            await reply(message.id, logger.flush());
+            break;
+
+        case "close":
+            await reply(message.id, logger.close().finally(markClosed));
+            parentPort.close();
+            break;
+
+        default:
+            console.error(`ThreadedLogger worker received an unknown message: ${message.type}`);
+    }
+});
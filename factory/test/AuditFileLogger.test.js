@@ -0,0 +1,169 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import AuditFileLogger from "../AuditFileLogger.js";
+import { createTempDir } from "./helpers.js";
+
+const verifyScript = fileURLToPath(new URL("../verify-audit.js", import.meta.url));
+const KEY = "test-key";
+
+/**
+ * Write a few records and close the logger
+ * @param {string} file - The audit log
+ * @param {Object} options - Logger options
+ * @returns {Promise<AuditFileLogger>} The closed logger
+ */
+async function writeAudit(file, options = {}) {
+    const logger = new AuditFileLogger(file, { key: KEY, checkpointInterval: 2, ...options });
+    logger.audit("Role %s granted to %s", "admin", "alice");
+    logger.audit("User %s logged in", "bob");
+    logger.audit("Export started", { rows: 10 });
+    await logger.close();
+    return logger;
+}
+
+/**
+ * Run verify-audit
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} { status, stdout }
+ */
+function runVerify(args) {
+    try {
+        return { status: 0, stdout: execFileSync(process.execPath, [verifyScript, ...args], { encoding: "utf8" }) };
+    } catch (error) {
+        return { status: error.status, stdout: error.stdout };
+    }
+}
+
+describe("AuditFileLogger", () => {
+    it("writes a chain that verifies with the key", async t => {
+        const file = path.join(createTempDir(t), "audit.log");
+        await writeAudit(file);
+
+        assert.deepEqual(AuditFileLogger.verify(file, { key: KEY }), {
+            valid: true,
+            entries: 5,
+            records: 3,
+            checkpoints: 2,
+            lastCheckpoint: 5,
+            signaturesChecked: true,
+            unsignedRecords: 0,
+            brokenAt: null
+        });
+    });
+
+    it("detects an edited line", async t => {
+        const file = path.join(createTempDir(t), "audit.log");
+        await writeAudit(file);
+        fs.writeFileSync(file, fs.readFileSync(file, "utf8").replace("bob", "eve"));
+
+        const result = AuditFileLogger.verify(file, { key: KEY });
+        assert.equal(result.valid, false);
+        assert.equal(result.brokenAt.line, 3);
+    });
+
+    it("detects a rewritten chain only with the key", async t => {
+        const file = path.join(createTempDir(t), "audit.log");
+        await writeAudit(file);
+
+        // Re-hash every line after editing the first one
+        let prev = AuditFileLogger.GENESIS_HASH;
+        const lines = fs.readFileSync(file, "utf8").trim().split("\n").map(line => {
+            const entry = JSON.parse(line.replace("alice", "mallory"));
+            const rewritten = JSON.stringify({ ...entry, prev });
+            prev = AuditFileLogger.hash(rewritten);
+            return rewritten;
+        });
+        fs.writeFileSync(file, `${lines.join("\n")}\n`);
+
+        assert.equal(AuditFileLogger.verify(file).valid, true);
+        assert.equal(AuditFileLogger.verify(file, { key: KEY }).brokenAt.reason, "checkpoint signature is invalid");
+    });
+
+    it("requires a key", t => {
+        const file = path.join(createTempDir(t), "audit.log");
+        assert.throws(() => new AuditFileLogger(file), /requires options\.key or options\.keyFile/);
+        assert.equal(fs.existsSync(`${file}.key`), false);
+    });
+
+    it("creates a missing key file and reads it back", async t => {
+        const directory = createTempDir(t);
+        const file = path.join(directory, "audit.log");
+        const keyFile = path.join(directory, "keys", "audit.key");
+        fs.mkdirSync(path.dirname(keyFile));
+        await writeAudit(file, { key: undefined, keyFile });
+
+        assert.match(fs.readFileSync(keyFile, "utf8"), /^[0-9a-f]{64}\n$/);
+        assert.equal(AuditFileLogger.verify(file, { keyFile }).valid, true);
+        assert.throws(() => AuditFileLogger.verify(file, { keyFile: path.join(directory, "missing.key") }), /Key file not found/);
+    });
+
+    it("removes a torn last line and records the removal", async t => {
+        const file = path.join(createTempDir(t), "audit.log");
+        const errors = t.mock.method(console, "error", () => {});
+        await writeAudit(file);
+        fs.appendFileSync(file, "{\"seq\":6,\"type\":\"record\",\"mess");
+        assert.equal(AuditFileLogger.verify(file, { key: KEY }).brokenAt.reason, "last line is incomplete (a write was interrupted)");
+
+        const logger = new AuditFileLogger(file, { key: KEY });
+        logger.audit("after the crash");
+        await logger.close();
+
+        const messages = fs.readFileSync(file, "utf8").trim().split("\n").map(line => JSON.parse(line).message);
+        assert.deepEqual(messages.slice(-3), [
+            "Removed an incomplete last line (30 bytes) left by an interrupted write",
+            "after the crash",
+            undefined // checkpoint
+        ]);
+        assert.equal(errors.mock.callCount(), 1);
+        assert.equal(AuditFileLogger.verify(file, { key: KEY }).valid, true);
+    });
+
+    it("completes a last entry that lost only its newline", async t => {
+        const file = path.join(createTempDir(t), "audit.log");
+        await writeAudit(file);
+        fs.writeFileSync(file, fs.readFileSync(file, "utf8").replace(/\n$/, ""));
+
+        const logger = new AuditFileLogger(file, { key: KEY });
+        assert.equal(logger.seq, 5);
+        logger.audit("next");
+        await logger.close();
+        assert.equal(AuditFileLogger.verify(file, { key: KEY }).entries, 7);
+    });
+});
+
+describe("verify-audit", () => {
+    it("exits 0 for an intact file checked with the key", async t => {
+        const directory = createTempDir(t);
+        const file = path.join(directory, "audit.log");
+        const keyFile = path.join(directory, "audit.key");
+        fs.writeFileSync(keyFile, `${KEY}\n`);
+        await writeAudit(file);
+
+        const { status, stdout } = runVerify([file, "-k", keyFile]);
+        assert.equal(status, 0);
+        assert.match(stdout, /OK, 3 records, 2 checkpoints \(last at seq 5\)/);
+    });
+
+    it("exits 3 when no key is given", async t => {
+        const file = path.join(createTempDir(t), "audit.log");
+        await writeAudit(file);
+
+        const { status, stdout } = runVerify([file]);
+        assert.equal(status, 3);
+        assert.match(stdout, /UNSIGNED/);
+    });
+
+    it("exits 1 for a tampered file", async t => {
+        const file = path.join(createTempDir(t), "audit.log");
+        await writeAudit(file);
+        fs.writeFileSync(file, fs.readFileSync(file, "utf8").replace("bob", "eve"));
+
+        const { status, stdout } = runVerify([file, "--key", KEY]);
+        assert.equal(status, 1);
+        assert.match(stdout, /BROKEN at line 3/);
+    });
+});
@@ -0,0 +1,31 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { CollectingLogger } from "./helpers.js";
+
+describe("BaseLogger metadata", () => {
+    it("spreads plain objects into the record fields", () => {
+        const logger = new CollectingLogger().child({ requestId: "r1" });
+        logger.info("Saved", { id: 7 });
+        assert.deepEqual(logger.parent.records[0].meta, { requestId: "r1", id: 7 });
+    });
+
+    it("keeps other values whole as meta.value", () => {
+        const logger = new CollectingLogger();
+        const when = new Date("2024-01-01T00:00:00.000Z");
+        logger.info("Done", "extra");
+        logger.info("Done", 42);
+        logger.info("Done", false);
+        logger.info("Done", [1, 2]);
+        logger.info("Done", when);
+        logger.info("Done", null);
+
+        assert.deepEqual(logger.records.map(record => record.meta), [
+            { value: "extra" },
+            { value: 42 },
+            { value: false },
+            { value: [1, 2] },
+            { value: when },
+            {}
+        ]);
+    });
+});
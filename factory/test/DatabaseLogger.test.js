@@ -0,0 +1,78 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+import os from "os";
+import path from "path";
+import DatabaseLogger from "../DatabaseLogger.js";
+import { createTempDir } from "./helpers.js";
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Check whether this Node.js version ships node:sqlite
+ * @returns {boolean} True if the sqlite store can be used
+ */
+function hasSqlite() {
+    try {
+        require("node:sqlite");
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Create a quiet DatabaseLogger for each store type
+ * @param {Object} t - The test context
+ * @returns {Object} Loggers by store type
+ */
+function createLoggers(t) {
+    const directory = createTempDir(t);
+    const loggers = {
+        memory: new DatabaseLogger({ verbose: false }),
+        jsonl: new DatabaseLogger({ store: "jsonl", storePath: path.join(directory, "logs.jsonl"), verbose: false })
+    };
+    if (hasSqlite()) {
+        loggers.sqlite = new DatabaseLogger({ store: "sqlite", storePath: ":memory:", verbose: false });
+    }
+    t.after(() => Promise.all(Object.values(loggers).map(logger => logger.close())));
+    return loggers;
+}
+
+describe("DatabaseLogger", () => {
+    it("stores the host and process in the metadata", t => {
+        for (const [store, logger] of Object.entries(createLoggers(t))) {
+            logger.info("Deployed", { version: 3 });
+
+            const [entry] = logger.getAllLogs();
+            assert.deepEqual(entry.metadata, { version: 3, hostname: os.hostname(), pid: process.pid }, store);
+            assert.equal(logger.count({ metadata: { hostname: os.hostname() } }), 1, store);
+        }
+    });
+
+    it("keeps record fields named like the reserved keys under meta_", t => {
+        for (const [store, logger] of Object.entries(createLoggers(t))) {
+            logger.info("Proxied", { hostname: "web-1", pid: "upstream" });
+
+            const [entry] = logger.getAllLogs();
+            assert.deepEqual(entry.metadata, {
+                meta_hostname: "web-1",
+                meta_pid: "upstream",
+                hostname: os.hostname(),
+                pid: process.pid
+            }, store);
+        }
+    });
+
+    it("numbers entries from 1 again after clearLogs()", t => {
+        t.mock.method(console, "log", () => {});
+        for (const [store, logger] of Object.entries(createLoggers(t))) {
+            logger.info("one");
+            logger.info("two");
+            logger.clearLogs();
+            logger.info("three");
+
+            assert.deepEqual(logger.getAllLogs().map(entry => [entry.id, entry.message]), [[1, "three"]], store);
+        }
+    });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import FileLogger from "../FileLogger.js";
+import { createTempDir } from "./helpers.js";
+
+/**
+ * Read the record lines of a log file (without the header)
+ * @param {string} file - The log file
+ * @returns {Array<string>} The messages, i.e. the text after the logger name
+ */
+function readMessages(file) {
+    return fs.readFileSync(file, "utf8").split("\n")
+        .filter(line => line.startsWith("["))
+        .map(line => line.replace(/^\[[^\]]+\] \[[A-Z]+\] \[FileLogger\] /, ""));
+}
+
+describe("FileLogger", () => {
+    it("buffers lines until flush()", async t => {
+        const file = path.join(createTempDir(t), "app.log");
+        const logger = new FileLogger(file);
+        logger.info("one");
+        logger.warn("two", { id: 2 });
+
+        assert.deepEqual(readMessages(file), []);
+        await logger.flush();
+        assert.deepEqual(readMessages(file), ["one", "two {\"id\":2}"]);
+        await logger.close();
+    });
+
+    it("appends synchronously with sync: true", t => {
+        const file = path.join(createTempDir(t), "sync.log");
+        const logger = new FileLogger(file, { sync: true });
+        logger.info("now");
+        assert.deepEqual(readMessages(file), ["now"]);
+    });
+
+    it("keeps logging after a flush fails", async t => {
+        const file = path.join(createTempDir(t), "rotating.log");
+        const errors = t.mock.method(console, "error", () => {});
+        const logger = new FileLogger(file, { rotation: { maxSize: 200 } });
+        const rotate = t.mock.method(logger.rotator, "rotate", () => {
+            throw new Error("EACCES: permission denied");
+        });
+
+        for (let i = 0; i < 5; i++) {
+            logger.info(`filler line number ${i}`);
+        }
+        await logger.flush();
+        assert.ok(errors.mock.calls.some(call => /EACCES/.test(call.arguments[0])));
+
+        rotate.mock.restore();
+        logger.info("after the failure");
+        await logger.close();
+
+        assert.ok(readMessages(file).includes("after the failure"));
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import TextFormatter from "../TextFormatter.js";
+import LogfmtFormatter from "../LogfmtFormatter.js";
+import PatternFormatter from "../PatternFormatter.js";
+import JsonFormatter from "../JsonFormatter.js";
+import ConsoleLogger from "../ConsoleLogger.js";
+import FileLogger from "../FileLogger.js";
+import { safeStringify } from "../SafeJson.js";
+import { CollectingLogger, createCaptureStream, createTempDir } from "./helpers.js";
+
+/**
+ * Build a record with a fixed timestamp
+ * @param {Object} fields - Fields overriding the defaults
+ * @returns {Object} The record
+ */
+function record(fields = {}) {
+    return { timestamp: new Date("2024-01-01T00:00:00.000Z"), level: "INFO", logger: "test", message: "hello", meta: {}, ...fields };
+}
+
+describe("TextFormatter", () => {
+    it("formats the core fields and metadata", () => {
+        assert.equal(new TextFormatter().format(record({ meta: { id: 1 } })), "[2024-01-01T00:00:00.000Z] [INFO] [test] hello {\"id\":1}");
+    });
+
+    it("prints non-string messages with util.inspect", () => {
+        const formatter = new TextFormatter();
+        assert.equal(formatter.format(record({ message: { a: 1, nested: { b: [2] } } })), "[2024-01-01T00:00:00.000Z] [INFO] [test] { a: 1, nested: { b: [ 2 ] } }");
+        assert.equal(formatter.format(record({ message: 42 })), "[2024-01-01T00:00:00.000Z] [INFO] [test] 42");
+    });
+});
+
+describe("LogfmtFormatter", () => {
+    it("writes metadata after the core fields", () => {
+        assert.equal(new LogfmtFormatter().format(record({ message: "hello world", meta: { id: 1, tags: [1, 2] } })),
+            "ts=2024-01-01T00:00:00.000Z level=info logger=test msg=\"hello world\" id=1 tags=[1,2]");
+    });
+
+    it("does not let metadata overwrite the core fields", () => {
+        assert.equal(new LogfmtFormatter().format(record({ meta: { level: "debug", msg: "spoofed", ts: 0, id: 2 } })),
+            "ts=2024-01-01T00:00:00.000Z level=info logger=test msg=hello meta_level=debug meta_msg=spoofed meta_ts=0 id=2");
+    });
+});
+
+describe("PatternFormatter", () => {
+    it("pads conversion words to their width", () => {
+        assert.equal(new PatternFormatter("%-5level|%6logger|%X{id}").format(record({ meta: { id: 7 } })), "INFO |  test|7");
+    });
+
+    it("formats non-string messages, with and without a width", () => {
+        const formatter = new PatternFormatter("%-6m|%msg");
+        assert.equal(formatter.format(record({ message: 123 })), "123   |123");
+        assert.equal(formatter.format(record({ message: { a: 1 } })), "{ a: 1 }|{ a: 1 }");
+        assert.equal(formatter.format(record({ message: undefined })), "undefined|undefined");
+    });
+
+    it("formats thunks returning non-strings", () => {
+        const logger = new CollectingLogger({ format: "%-5p %m" });
+        logger.info(() => 42);
+        logger.info(() => ({ a: 1 }));
+        assert.deepEqual(logger.lines(), ["INFO  42", "INFO  { a: 1 }"]);
+    });
+
+    it("rejects unknown conversion words", () => {
+        assert.throws(() => new PatternFormatter("%nope"), /Unknown pattern conversion word: %nope/);
+    });
+});
+
+describe("metadata that plain JSON cannot hold", () => {
+    /**
+     * Metadata with a back-reference and a BigInt
+     * @returns {Object} The metadata
+     */
+    function awkwardMeta() {
+        const req = { url: "/orders", headers: { host: "shop" } };
+        req.socket = { req };
+        return { req, bytes: 12345678901234567890n };
+    }
+
+    it("replaces cycles but keeps objects referenced twice", () => {
+        const shared = { id: 1 };
+        const node = { name: "root", first: shared, second: shared };
+        node.self = node;
+        assert.equal(safeStringify(node), "{\"name\":\"root\",\"first\":{\"id\":1},\"second\":{\"id\":1},\"self\":\"[Circular]\"}");
+        assert.equal(safeStringify({ n: 10n }), "{\"n\":\"10\"}");
+    });
+
+    it("is written by every formatter", () => {
+        const meta = awkwardMeta();
+        const expected = "{\"req\":{\"url\":\"/orders\",\"headers\":{\"host\":\"shop\"},\"socket\":{\"req\":\"[Circular]\"}},\"bytes\":\"12345678901234567890\"}";
+        assert.equal(new TextFormatter().format(record({ meta })), `[2024-01-01T00:00:00.000Z] [INFO] [test] hello ${expected}`);
+        assert.equal(JSON.parse(new JsonFormatter().format(record({ meta }))).meta.bytes, "12345678901234567890");
+        assert.match(new LogfmtFormatter().format(record({ meta })), / bytes=12345678901234567890$/);
+        assert.equal(new PatternFormatter("%meta").format(record({ meta })), expected);
+    });
+
+    it("does not make a logging call throw", async t => {
+        const stream = createCaptureStream();
+        const consoleLogger = new ConsoleLogger({ format: "json", stream });
+        consoleLogger.info("Request", awkwardMeta());
+        assert.equal(JSON.parse(stream.output).meta.req.socket.req, "[Circular]");
+
+        const file = path.join(createTempDir(t), "app.log");
+        const fileLogger = new FileLogger(file);
+        fileLogger.info("Request", awkwardMeta());
+        await fileLogger.close();
+        assert.match(fs.readFileSync(file, "utf8"), /Request \{"req":.*"bytes":"12345678901234567890"\}/);
+    });
+});
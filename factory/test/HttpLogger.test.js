@@ -0,0 +1,151 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import HttpLogger from "../HttpLogger.js";
+import { createTempDir } from "./helpers.js";
+
+/**
+ * A local collector whose response status can be changed between requests
+ */
+class Collector {
+    constructor() {
+        this.status = 200;
+        this.requests = 0;
+        this.records = [];
+        this.server = http.createServer((request, response) => {
+            const chunks = [];
+            request.on("data", chunk => chunks.push(chunk));
+            request.on("end", () => {
+                this.requests++;
+                if (this.status === 200) {
+                    this.records.push(...JSON.parse(Buffer.concat(chunks).toString()));
+                }
+                response.statusCode = this.status;
+                response.end();
+            });
+        });
+    }
+
+    async start() {
+        await new Promise(resolve => this.server.listen(0, "127.0.0.1", resolve));
+        this.url = `http://127.0.0.1:${this.server.address().port}/ingest`;
+    }
+
+    stop() {
+        this.server.closeAllConnections();
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    messages() {
+        return this.records.map(record => record.message);
+    }
+}
+
+describe("HttpLogger", () => {
+    const collector = new Collector();
+    before(() => collector.start());
+    after(() => collector.stop());
+
+    it("ships batches to the collector", async () => {
+        collector.records = [];
+        const logger = new HttpLogger({ url: collector.url, batchSize: 2, flushInterval: 50 });
+        logger.info("one", { id: 1 });
+        logger.info("two");
+        logger.info("three");
+        await logger.flush();
+
+        assert.deepEqual(collector.messages(), ["one", "two", "three"]);
+        assert.deepEqual(collector.records[0].meta, { id: 1 });
+        assert.equal(logger.getStatistics().sent, 3);
+    });
+
+    it("keeps flushing after the spool fails", async t => {
+        const directory = createTempDir(t);
+        const spoolDir = path.join(directory, "spool");
+        const errors = t.mock.method(console, "error", () => {});
+        const logger = new HttpLogger({ url: collector.url, maxRetries: 0, spoolDir, flushInterval: 10 });
+
+        // Make the spool unwritable: the directory is replaced by a file
+        fs.rmSync(spoolDir, { recursive: true });
+        fs.writeFileSync(spoolDir, "");
+        collector.status = 503;
+        logger.info("lost");
+        await logger.flush();
+        assert.ok(errors.mock.calls.some(call => /ENOTDIR|EEXIST/.test(call.arguments[0])));
+
+        collector.status = 200;
+        collector.records = [];
+        logger.info("delivered");
+        await logger.flush();
+        assert.deepEqual(collector.messages(), ["delivered"]);
+    });
+
+    it("skips retries while the collector is down", async t => {
+        t.mock.method(console, "error", () => {});
+        const logger = new HttpLogger({ url: collector.url, maxRetries: 2, retryDelay: 5 });
+
+        collector.status = 503;
+        collector.requests = 0;
+        logger.info("first");
+        await logger.flush();
+        assert.equal(collector.requests, 3);
+
+        logger.info("second");
+        await logger.flush();
+        assert.equal(collector.requests, 4);
+
+        collector.status = 200;
+        collector.records = [];
+        logger.info("third");
+        await logger.flush();
+        assert.deepEqual(collector.messages(), ["third"]);
+        assert.equal(logger.collectorDown, false);
+        assert.deepEqual(logger.getStatistics(), { sent: 1, failed: 2, spooled: 0, dropped: 2 });
+    });
+
+    it("moves the oldest batch out of memory beyond maxBuffer", async () => {
+        collector.status = 200;
+        collector.records = [];
+        const logger = new HttpLogger({ url: collector.url, batchSize: 2, maxBuffer: 4 });
+        for (let i = 0; i < 10; i++) {
+            logger.info(`record ${i}`);
+        }
+        assert.equal(logger.buffer.length, 4);
+        await logger.flush();
+
+        assert.deepEqual(collector.messages(), ["record 6", "record 7", "record 8", "record 9"]);
+        assert.equal(logger.getStatistics().dropped, 6);
+    });
+
+    it("spools overflowing batches when a spool is configured", async t => {
+        const spoolDir = createTempDir(t);
+        const logger = new HttpLogger({ url: collector.url, batchSize: 2, maxBuffer: 4, spoolDir });
+        for (let i = 0; i < 6; i++) {
+            logger.info(`record ${i}`);
+        }
+        assert.equal(logger.getStatistics().spooled, 2);
+        assert.equal(logger.listSpool().length, 1);
+        await logger.flush();
+    });
+
+    it("re-sends batches spooled by an earlier run on startup", async t => {
+        t.mock.method(console, "error", () => {});
+        const spoolDir = createTempDir(t);
+
+        collector.status = 503;
+        const earlier = new HttpLogger({ url: collector.url, maxRetries: 0, spoolDir });
+        earlier.info("from the last run");
+        await earlier.flush();
+        assert.equal(earlier.listSpool().length, 1);
+
+        collector.status = 200;
+        collector.records = [];
+        const logger = new HttpLogger({ url: collector.url, spoolDir });
+        await logger.flush();
+
+        assert.deepEqual(collector.messages(), ["from the last run"]);
+        assert.deepEqual(logger.listSpool(), []);
+    });
+});
@@ -0,0 +1,48 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import CompositeLogger from "../CompositeLogger.js";
+import RingBufferLogger from "../RingBufferLogger.js";
+import ThrottledLogger from "../ThrottledLogger.js";
+import metrics from "../LogMetrics.js";
+import { CollectingLogger } from "./helpers.js";
+
+/**
+ * Read the log_records_total samples
+ * @returns {Object} Count by "logger level"
+ */
+function recordCounts() {
+    const counts = {};
+    metrics.counters.get("log_records_total").values.forEach(({ labels, value }) => {
+        counts[`${labels.logger} ${labels.level}`] = value;
+    });
+    return counts;
+}
+
+describe("log_records_total", () => {
+    beforeEach(() => metrics.reset());
+
+    it("counts a record once per destination, not at composites and decorators", () => {
+        const file = new CollectingLogger({ name: "file" });
+        const consoleLogger = new CollectingLogger({ name: "console" });
+        const composite = new CompositeLogger([new ThrottledLogger(file), consoleLogger]);
+        composite.info("hello");
+        composite.child({ requestId: 1 }).warn("slow");
+
+        assert.deepEqual(recordCounts(), {
+            "file INFO": 1,
+            "console INFO": 1,
+            "file WARN": 1,
+            "console WARN": 1
+        });
+    });
+
+    it("counts buffered records when the ring buffer writes them", () => {
+        const target = new CollectingLogger({ name: "target" });
+        const ring = new RingBufferLogger(target);
+        ring.debug("context");
+        assert.deepEqual(recordCounts(), {});
+
+        ring.error("failed");
+        assert.deepEqual(recordCounts(), { "target DEBUG": 1, "target ERROR": 1 });
+    });
+});
@@ -0,0 +1,250 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import FileLogger from "../FileLogger.js";
+import LogRotator from "../LogRotator.js";
+import { createTempDir } from "./helpers.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Write the active log file as the logger would and tell the rotator about it
+ * @param {LogRotator} rotator - The rotator
+ * @param {string} content - The file content
+ */
+function writeActive(rotator, content) {
+    fs.writeFileSync(rotator.logFile, content);
+    rotator.recordWrite(Buffer.byteLength(content));
+}
+
+/**
+ * Set a file's modification time
+ * @param {string} file - The file
+ * @param {Date} date - The new modification time
+ */
+function touch(file, date) {
+    fs.utimesSync(file, date, date);
+}
+
+/**
+ * List the names in a directory, sorted
+ * @param {string} dir - The directory
+ * @returns {Array<string>} File names
+ */
+function listNames(dir) {
+    return fs.readdirSync(dir).sort();
+}
+
+describe("LogRotator triggers", () => {
+    it("rotates by size once the next write would exceed maxSize", t => {
+        const rotator = new LogRotator(path.join(createTempDir(t), "app.log"), { maxSize: "1K" });
+        assert.equal(rotator.maxSize, 1024);
+        assert.equal(rotator.shouldRotate(2000), false); // an empty file is never rotated
+
+        writeActive(rotator, "x".repeat(1000));
+        assert.equal(rotator.shouldRotate(24), false);
+        assert.equal(rotator.shouldRotate(25), true);
+    });
+
+    it("rotates by time once the period of the file has passed", t => {
+        const file = path.join(createTempDir(t), "app.log");
+        fs.writeFileSync(file, "old line\n");
+        touch(file, new Date(Date.now() - 2 * DAY));
+
+        const daily = new LogRotator(file, { interval: "daily" });
+        assert.equal(daily.shouldRotate(), true);
+
+        touch(file, new Date());
+        assert.equal(new LogRotator(file, { interval: "daily" }).shouldRotate(), false);
+        assert.equal(new LogRotator(file, { maxSize: "1M" }).shouldRotate(), false);
+    });
+
+    it("rejects unknown options with the allowed values", t => {
+        const file = path.join(createTempDir(t), "app.log");
+        assert.throws(() => new LogRotator(file, { interval: "weekly" }), /Invalid rotation interval: weekly\. Expected one of: daily, hourly/);
+        assert.throws(() => new LogRotator(file, { naming: "random" }), /Expected one of: numbered, dated/);
+        assert.throws(() => new LogRotator(file, { maxSize: "ten" }), /Invalid rotation maxSize: ten/);
+    });
+});
+
+describe("LogRotator archive naming", () => {
+    it("numbers archives with the newest as .1", async t => {
+        const dir = createTempDir(t);
+        const rotator = new LogRotator(path.join(dir, "app.log"));
+
+        writeActive(rotator, "first\n");
+        assert.equal(await rotator.rotate(), path.join(dir, "app.log.1"));
+        writeActive(rotator, "second\n");
+        await rotator.rotate();
+
+        assert.deepEqual(listNames(dir), ["app.log.1", "app.log.2"]);
+        assert.equal(fs.readFileSync(path.join(dir, "app.log.1"), "utf8"), "second\n");
+        assert.equal(fs.readFileSync(path.join(dir, "app.log.2"), "utf8"), "first\n");
+        assert.equal(rotator.currentSize, 0);
+    });
+
+    it("names dated archives after the rotated period, with a counter for repeats", async t => {
+        const dir = createTempDir(t);
+        const file = path.join(dir, "app.log");
+        fs.writeFileSync(file, "new year\n");
+        touch(file, new Date("2024-01-01T10:00:00Z"));
+        const rotator = new LogRotator(file, { interval: "daily", naming: "dated" });
+
+        assert.equal(await rotator.rotate(), path.join(dir, "app.log.2024-01-01"));
+        writeActive(rotator, "same day\n");
+        rotator.periodStart = "2024-01-01";
+        assert.equal(await rotator.rotate(), path.join(dir, "app.log.2024-01-01.1"));
+        assert.equal(await rotator.rotate(), null); // nothing left to rotate
+    });
+
+    it("uses the hour in hourly dated archives", async t => {
+        const dir = createTempDir(t);
+        const file = path.join(dir, "app.log");
+        fs.writeFileSync(file, "line\n");
+        touch(file, new Date("2024-01-01T13:30:00Z"));
+
+        const rotator = new LogRotator(file, { interval: "hourly", naming: "dated" });
+        assert.equal(await rotator.rotate(), path.join(dir, "app.log.2024-01-01T13"));
+    });
+});
+
+describe("LogRotator compression", () => {
+    it("gzips archives and leaves no pending files", async t => {
+        const dir = createTempDir(t);
+        const rotator = new LogRotator(path.join(dir, "app.log"), { compress: true });
+
+        writeActive(rotator, "first\n");
+        const first = rotator.rotate();
+        writeActive(rotator, "second\n");
+        const second = rotator.rotate();
+
+        // Both are compressed in the background and placed in rotation order
+        assert.equal(await first, path.join(dir, "app.log.1.gz"));
+        assert.equal(await second, path.join(dir, "app.log.1.gz"));
+        await rotator.whenIdle();
+
+        assert.deepEqual(listNames(dir), ["app.log.1.gz", "app.log.2.gz"]);
+        assert.equal(zlib.gunzipSync(fs.readFileSync(path.join(dir, "app.log.1.gz"))).toString(), "second\n");
+        assert.equal(zlib.gunzipSync(fs.readFileSync(path.join(dir, "app.log.2.gz"))).toString(), "first\n");
+    });
+
+    it("compresses files left pending by a previous process", async t => {
+        const dir = createTempDir(t);
+        fs.writeFileSync(path.join(dir, "app.log.rotating-1-000000"), "left behind\n");
+        fs.writeFileSync(path.join(dir, "app.log.rotating-1-000000.gz"), "partial");
+
+        const rotator = new LogRotator(path.join(dir, "app.log"), { compress: true, naming: "numbered" });
+        await rotator.whenIdle();
+
+        assert.deepEqual(listNames(dir), ["app.log.1.gz"]);
+        assert.equal(zlib.gunzipSync(fs.readFileSync(path.join(dir, "app.log.1.gz"))).toString(), "left behind\n");
+    });
+
+    it("keeps the pending file when compression fails", async t => {
+        const dir = createTempDir(t);
+        const rotator = new LogRotator(path.join(dir, "app.log"), { compress: true });
+        writeActive(rotator, "kept\n");
+        t.mock.method(rotator, "nextArchive", () => {
+            throw new Error("disk full");
+        });
+
+        await assert.rejects(rotator.rotate(), /disk full/);
+        const names = listNames(dir);
+        assert.equal(names.length, 1);
+        assert.match(names[0], /^app\.log\.rotating-\d+-000000$/);
+        assert.equal(fs.readFileSync(path.join(dir, names[0]), "utf8"), "kept\n");
+    });
+});
+
+describe("LogRotator retention", () => {
+    it("keeps the newest maxFiles archives", async t => {
+        const dir = createTempDir(t);
+        const rotator = new LogRotator(path.join(dir, "app.log"), { maxFiles: 2 });
+
+        for (const content of ["one\n", "two\n", "three\n", "four\n"]) {
+            writeActive(rotator, content);
+            await rotator.rotate();
+        }
+
+        assert.deepEqual(listNames(dir), ["app.log.1", "app.log.2"]);
+        assert.equal(fs.readFileSync(path.join(dir, "app.log.2"), "utf8"), "three\n");
+    });
+
+    it("keeps the newest maxFiles dated and compressed archives", async t => {
+        const dir = createTempDir(t);
+        const rotator = new LogRotator(path.join(dir, "app.log"), { naming: "dated", compress: true, maxFiles: 2 });
+
+        for (const day of ["2024-01-01", "2024-01-02", "2024-01-03"]) {
+            writeActive(rotator, `${day}\n`);
+            rotator.periodStart = day;
+            rotator.rotate();
+        }
+        await rotator.whenIdle();
+
+        assert.deepEqual(listNames(dir), ["app.log.2024-01-02.gz", "app.log.2024-01-03.gz"]);
+    });
+
+    it("deletes archives older than maxAgeDays", async t => {
+        const dir = createTempDir(t);
+        const old = path.join(dir, "app.log.2024-01-01");
+        const recent = path.join(dir, "app.log.2024-01-02");
+        fs.writeFileSync(old, "old\n");
+        fs.writeFileSync(recent, "recent\n");
+        touch(old, new Date(Date.now() - 10 * DAY));
+        touch(recent, new Date(Date.now() - 2 * DAY));
+
+        const rotator = new LogRotator(path.join(dir, "app.log"), { naming: "dated", maxAgeDays: 7 });
+        writeActive(rotator, "today\n");
+        const archive = await rotator.rotate();
+
+        assert.deepEqual(listNames(dir), [path.basename(recent), path.basename(archive)].sort());
+    });
+
+    it("leaves other files in the directory alone", async t => {
+        const dir = createTempDir(t);
+        fs.writeFileSync(path.join(dir, "app.log.bak"), "backup\n");
+        fs.writeFileSync(path.join(dir, "other.log.1"), "other\n");
+        const rotator = new LogRotator(path.join(dir, "app.log"), { maxFiles: 1 });
+
+        for (const content of ["one\n", "two\n"]) {
+            writeActive(rotator, content);
+            await rotator.rotate();
+        }
+
+        assert.deepEqual(listNames(dir), ["app.log.1", "app.log.bak", "other.log.1"]);
+    });
+});
+
+describe("FileLogger rotation", () => {
+    it("rotates by size and waits for compression on close()", async t => {
+        const dir = createTempDir(t);
+        const logger = new FileLogger(path.join(dir, "app.log"), { rotation: { maxSize: 200, compress: true } });
+        for (let i = 0; i < 10; i++) {
+            logger.info(`filler line number ${i}`);
+        }
+        await logger.close();
+
+        const names = listNames(dir);
+        assert.ok(names.includes("app.log.1.gz"));
+        assert.ok(names.every(name => !name.includes(".rotating-")));
+        const archived = names.filter(name => name.endsWith(".gz"))
+            .map(name => zlib.gunzipSync(fs.readFileSync(path.join(dir, name))).toString())
+            .join("");
+        const lines = `${archived}${fs.readFileSync(path.join(dir, "app.log"), "utf8")}`.split("\n");
+        assert.equal(lines.filter(line => / filler line number \d$/.test(line)).length, 10);
+    });
+
+    it("returns the archive path from a forced rotation", async t => {
+        const dir = createTempDir(t);
+        const logger = new FileLogger(path.join(dir, "app.log"), { rotation: { compress: true } });
+        logger.info("before");
+        await logger.flush();
+
+        assert.equal(await logger.rotate(), path.join(dir, "app.log.1.gz"));
+        assert.ok(fs.existsSync(path.join(dir, "app.log")));
+        await logger.close();
+        assert.equal(await new FileLogger(path.join(dir, "plain.log")).rotate(), null);
+    });
+});
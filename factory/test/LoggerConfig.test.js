@@ -0,0 +1,103 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import LoggerFactory from "../LoggerFactory.js";
+import CompositeLogger from "../CompositeLogger.js";
+import JsonFormatter from "../JsonFormatter.js";
+import { LevelSeverity } from "../LogLevels.js";
+import { CollectingLogger, createTempDir } from "./helpers.js";
+
+const config = {
+    defaultProfile: "development",
+    profiles: {
+        development: {
+            type: "composite",
+            loggers: [
+                { type: "collecting", name: "dev-console" },
+                { type: "collecting", name: "dev-file", level: "INFO" }
+            ]
+        },
+        production: { type: "collecting", name: "prod", level: "WARN" }
+    }
+};
+
+describe("LoggerFactory.fromConfig", () => {
+    before(() => LoggerFactory.register("collecting", CollectingLogger, { name: { type: "string" } }));
+    after(() => {
+        LoggerFactory.getTrackedLoggers().forEach(logger => LoggerFactory.untrackLogger(logger));
+        LoggerFactory.unregister("collecting");
+    });
+
+    it("builds the default profile", () => {
+        const logger = LoggerFactory.fromConfig(config, { env: {} });
+
+        assert.ok(logger instanceof CompositeLogger);
+        assert.deepEqual(logger.loggers.map(child => [child.name, child.getLevel()]), [["dev-console", "DEBUG"], ["dev-file", "INFO"]]);
+    });
+
+    it("selects a profile from the option or LOG_PROFILE", () => {
+        assert.equal(LoggerFactory.fromConfig(config, { env: { LOG_PROFILE: "production" } }).name, "prod");
+        assert.equal(LoggerFactory.fromConfig(config, { profile: "production", env: { LOG_PROFILE: "development" } }).name, "prod");
+    });
+
+    it("lists the available profiles for unknown profiles", () => {
+        assert.throws(() => LoggerFactory.fromConfig(config, { profile: "qa", env: {} }), /Unknown logging profile: qa\. Available profiles: development, production/);
+    });
+
+    it("accepts a single node without profiles", () => {
+        const logger = LoggerFactory.fromConfig({ type: "collecting", format: "json" }, { env: {} });
+        assert.ok(logger.formatter instanceof JsonFormatter);
+    });
+
+    it("rejects nodes without a type", () => {
+        assert.throws(() => LoggerFactory.fromConfig({ level: "INFO" }, { env: {} }), /must have a type/);
+    });
+
+    it("defines the levels declared in the config", () => {
+        LoggerFactory.fromConfig({ levels: { CONFIGURED: 27 }, type: "collecting" }, { env: {} });
+        assert.equal(LevelSeverity.CONFIGURED, 27);
+    });
+
+    it("loads JSON files and reports unreadable ones", t => {
+        const file = path.join(createTempDir(t), "logging.json");
+        fs.writeFileSync(file, JSON.stringify(config));
+        assert.equal(LoggerFactory.fromConfig(file, { profile: "production", env: {} }).name, "prod");
+
+        fs.writeFileSync(file, "{ not json");
+        assert.throws(() => LoggerFactory.fromConfig(file, { env: {} }), /Failed to load logging config .*logging\.json/);
+    });
+});
+
+describe("LoggerFactory.applyEnvironmentOverrides", () => {
+    const node = config.profiles.development;
+
+    it("keeps the LOG_TARGETS types and adds missing ones with default options", () => {
+        const result = LoggerFactory.applyEnvironmentOverrides(
+            { type: "composite", loggers: [{ type: "console" }, { type: "file", filename: "dev.log" }] },
+            { LOG_TARGETS: "file, database" }
+        );
+        assert.deepEqual(result, { type: "composite", loggers: [{ type: "file", filename: "dev.log" }, { type: "database" }] });
+    });
+
+    it("applies LOG_LEVEL to every node and LOG_FORMAT to the leaves", () => {
+        const result = LoggerFactory.applyEnvironmentOverrides(node, { LOG_LEVEL: "ERROR", LOG_FORMAT: "logfmt" });
+        assert.equal(result.level, "ERROR");
+        assert.equal(result.format, undefined);
+        assert.deepEqual(result.loggers.map(child => [child.level, child.format]), [["ERROR", "logfmt"], ["ERROR", "logfmt"]]);
+    });
+
+    it("applies LOG_FILE to file loggers only", () => {
+        const result = LoggerFactory.applyEnvironmentOverrides(
+            { type: "composite", loggers: [{ type: "console" }, { type: "file", filename: "dev.log" }] },
+            { LOG_FILE: "other.log" }
+        );
+        assert.deepEqual(result.loggers, [{ type: "console" }, { type: "file", filename: "other.log" }]);
+    });
+
+    it("does not modify the configuration", () => {
+        const copy = structuredClone(node);
+        LoggerFactory.applyEnvironmentOverrides(node, { LOG_LEVEL: "ERROR", LOG_TARGETS: "collecting" });
+        assert.deepEqual(node, copy);
+    });
+});
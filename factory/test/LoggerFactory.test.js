@@ -0,0 +1,89 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import LoggerFactory from "../LoggerFactory.js";
+import ConsoleLogger from "../ConsoleLogger.js";
+import { CollectingLogger } from "./helpers.js";
+
+describe("LoggerFactory registry", () => {
+    afterEach(() => {
+        LoggerFactory.unregister("collecting");
+        LoggerFactory.unregister("custom");
+    });
+
+    it("lists the built-in types", () => {
+        const types = LoggerFactory.getAvailableTypes();
+        for (const type of Object.values(LoggerFactory.LoggerTypes)) {
+            assert.ok(types.includes(type), `${type} is registered`);
+        }
+    });
+
+    it("creates registered classes with their options", () => {
+        LoggerFactory.register("collecting", CollectingLogger, { name: { type: "string" } });
+
+        const logger = LoggerFactory.createLogger("Collecting", { name: "audit-trail", level: "WARN" });
+        logger.info("skipped");
+        logger.warn("kept");
+
+        assert.ok(logger instanceof CollectingLogger);
+        assert.equal(logger.name, "audit-trail");
+        assert.deepEqual(logger.records.map(record => record.message), ["kept"]);
+        LoggerFactory.untrackLogger(logger);
+    });
+
+    it("creates registered factory functions", () => {
+        const created = new CollectingLogger();
+        LoggerFactory.register("custom", () => created, null);
+
+        const logger = LoggerFactory.createLogger("custom", { anything: true });
+        assert.equal(logger, created);
+        LoggerFactory.untrackLogger(logger);
+    });
+
+    it("rejects duplicate and invalid registrations", () => {
+        assert.throws(() => LoggerFactory.register("CONSOLE", ConsoleLogger), /already registered: CONSOLE/);
+        assert.throws(() => LoggerFactory.register("custom", {}), /constructor or factory function/);
+    });
+
+    it("unregisters types", () => {
+        LoggerFactory.register("custom", CollectingLogger);
+        assert.equal(LoggerFactory.isRegistered("custom"), true);
+        assert.equal(LoggerFactory.unregister("custom"), true);
+        assert.equal(LoggerFactory.isRegistered("custom"), false);
+        assert.equal(LoggerFactory.unregister("custom"), false);
+    });
+
+    it("lists the available types for unknown types", () => {
+        assert.throws(() => LoggerFactory.createLogger("carrier-pigeon"), /Unknown logger type: carrier-pigeon\. Available types: console, file/);
+    });
+});
+
+describe("LoggerFactory option validation", () => {
+    it("rejects unknown options and lists the allowed ones", () => {
+        assert.throws(
+            () => LoggerFactory.createLogger("file", { filname: "app.log" }),
+            /Unknown option "filname" for logger type "file"\. Allowed options: .*filename/
+        );
+    });
+
+    it("checks types, enums and required options", () => {
+        assert.throws(() => LoggerFactory.createLogger("console", { colors: "yes" }), /"colors".*expected boolean, got string/);
+        assert.throws(() => LoggerFactory.createLogger("syslog", { protocol: "smtp" }), /"protocol".*expected one of udp, tcp, unix/);
+        assert.throws(() => LoggerFactory.createLogger("http", {}), /Missing required option "url" for logger type "http"/);
+    });
+
+    it("checks nested options", () => {
+        assert.throws(
+            () => LoggerFactory.createLogger("file", { rotation: { interval: "weekly" } }),
+            /"rotation\.interval".*expected one of daily, hourly/
+        );
+        assert.throws(() => LoggerFactory.createLogger("file", { rotation: { size: 10 } }), /Unknown option "rotation\.size"/);
+    });
+
+    it("accepts the common options on every type", () => {
+        LoggerFactory.validateOptions("syslog", { level: "INFO", format: "json", redact: { paths: ["password"] } }, LoggerFactory.getRegistration("syslog").schema);
+    });
+
+    it("only passes shared options to the composite types that accept them", () => {
+        assert.throws(() => LoggerFactory.createCompositeLogger(["console", "database"], { bogus: 1 }), /Unknown option "bogus" for logger types: console, database/);
+    });
+});
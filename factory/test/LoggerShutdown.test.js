@@ -0,0 +1,140 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import LoggerFactory from "../LoggerFactory.js";
+import CompositeLogger from "../CompositeLogger.js";
+import RingBufferLogger from "../RingBufferLogger.js";
+import shutdownManager from "../LoggerShutdown.js";
+import { CollectingLogger } from "./helpers.js";
+
+const LoggerShutdown = shutdownManager.constructor;
+
+/**
+ * CollectingLogger that records when it is flushed and closed
+ */
+class RecordingLogger extends CollectingLogger {
+    constructor(name, events) {
+        super({ name });
+        this.events = events;
+    }
+
+    flush() {
+        this.events.push(`flush ${this.name}`);
+        return Promise.resolve();
+    }
+
+    close() {
+        this.events.push(`close ${this.name}`);
+        return Promise.resolve();
+    }
+}
+
+describe("LoggerShutdown tracking", () => {
+    before(() => {
+        LoggerFactory.removeShutdownHooks();
+        LoggerFactory.register("collecting", CollectingLogger, { name: { type: "string" } });
+    });
+    after(() => LoggerFactory.unregister("collecting"));
+
+    it("stops tracking a factory logger once it is closed", async () => {
+        const logger = LoggerFactory.createLogger("collecting");
+        assert.ok(LoggerFactory.getTrackedLoggers().includes(logger));
+
+        await logger.close();
+        assert.equal(logger.closed, true);
+        assert.ok(!LoggerFactory.getTrackedLoggers().includes(logger));
+    });
+
+    it("does not keep per-job loggers", async () => {
+        const before = LoggerFactory.getTrackedLoggers().length;
+        for (let job = 0; job < 100; job++) {
+            const logger = LoggerFactory.createLogger("collecting", { name: `job-${job}` });
+            logger.info("done");
+            await logger.close();
+        }
+        assert.equal(LoggerFactory.getTrackedLoggers().length, before);
+    });
+});
+
+describe("LoggerShutdown.orderByDependencies", () => {
+    it("puts dependents before the loggers they write to", () => {
+        const file = new CollectingLogger({ name: "file" });
+        const consoleLogger = new CollectingLogger({ name: "console" });
+        const ring = new RingBufferLogger(file);
+        const composite = new CompositeLogger([ring, consoleLogger]);
+        const child = composite.child({ requestId: 1 });
+
+        const waves = LoggerShutdown.orderByDependencies([file, composite, child]);
+        assert.deepEqual(waves.map(wave => wave.map(logger => logger.name).sort()), [
+            ["CompositeLogger"], // the child (named after its parent) writes through the composite
+            ["CompositeLogger"],
+            ["RingBufferLogger", "console"],
+            ["file"]
+        ]);
+        assert.equal(waves[0][0], child);
+    });
+});
+
+describe("LoggerShutdown.shutdown", () => {
+    it("flushes in dependency order and closes only the roots", async () => {
+        const events = [];
+        const manager = new LoggerShutdown();
+        const leaf = new RecordingLogger("leaf", events);
+        const composite = new CompositeLogger([leaf]);
+        composite.flush = () => {
+            events.push("flush composite");
+            return Promise.resolve();
+        };
+        composite.close = () => {
+            events.push("close composite");
+            return Promise.resolve();
+        };
+        manager.track(leaf);
+        manager.track(composite);
+
+        const result = await manager.shutdown();
+        assert.deepEqual(events, ["flush composite", "flush leaf", "close composite"]);
+        assert.deepEqual(result, { closed: 2, failures: [], timedOut: false });
+        assert.deepEqual(manager.getLoggers(), []);
+    });
+
+    it("reports failures and gives up after the timeout", async t => {
+        t.mock.method(console, "error", () => {});
+        const manager = new LoggerShutdown();
+        const failing = new CollectingLogger({ name: "failing" });
+        failing.flush = () => Promise.reject(new Error("disk full"));
+        const stuck = new CollectingLogger({ name: "stuck" });
+        stuck.close = () => new Promise(() => {});
+        manager.track(failing);
+        manager.track(stuck);
+
+        // The shutdown timer does not keep the process alive by itself
+        const keepAlive = setInterval(() => {}, 1000);
+        const result = await manager.shutdown({ timeout: 50 }).finally(() => clearInterval(keepAlive));
+        assert.equal(result.timedOut, true);
+        assert.deepEqual(result.failures.map(({ logger, error }) => [logger, error.message]), [["failing", "disk full"]]);
+    });
+});
+
+describe("LoggerShutdown signal handling", () => {
+    it("only flushes when the application handles the signal too", async () => {
+        const events = [];
+        const manager = new LoggerShutdown();
+        const logger = new RecordingLogger("app", events);
+        const applicationListener = () => {};
+        manager.track(logger);
+        manager.installHooks();
+        process.on("SIGTERM", applicationListener);
+
+        try {
+            manager.handleSignal("SIGTERM");
+            await new Promise(resolve => setImmediate(resolve));
+
+            assert.deepEqual(events, ["flush app"]);
+            assert.equal(manager.pending, null);
+            assert.deepEqual(manager.getLoggers(), [logger]);
+        } finally {
+            process.off("SIGTERM", applicationListener);
+            manager.removeHooks();
+        }
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { countPlaceholders, resolveMessage } from "../MessageFormat.js";
+import { CollectingLogger } from "./helpers.js";
+
+describe("countPlaceholders", () => {
+    it("counts util.format placeholders but not %%", () => {
+        assert.equal(countPlaceholders("%s took %dms (%j) 100%%"), 3);
+        assert.equal(countPlaceholders("no placeholders, 50% off"), 0);
+    });
+});
+
+describe("resolveMessage templates", () => {
+    it("interpolates when the arguments match the placeholders", () => {
+        assert.deepEqual(resolveMessage("User %s has %d items", ["ada", 3]), { message: "User ada has 3 items", meta: undefined });
+    });
+
+    it("takes one extra trailing object as metadata", () => {
+        assert.deepEqual(resolveMessage("Order %s placed", ["A-1", { userId: 42 }]), { message: "Order A-1 placed", meta: { userId: 42 } });
+    });
+
+    it("interpolates objects that are followed by metadata", () => {
+        assert.deepEqual(resolveMessage("Cart %j", [{ items: 2 }, { userId: 1 }]), { message: "Cart {\"items\":2}", meta: { userId: 1 } });
+    });
+
+    it("fills %j and %o with a trailing object", () => {
+        assert.deepEqual(resolveMessage("Payload %j", [{ a: 1 }]), { message: "Payload {\"a\":1}", meta: undefined });
+        assert.deepEqual(resolveMessage("User %o", [{ name: "ada" }]), { message: "User { name: 'ada' }", meta: undefined });
+        assert.deepEqual(resolveMessage("User %s: %O", ["ada", { admin: true }]), { message: "User ada: { admin: true }", meta: undefined });
+    });
+
+    it("takes an object after a filled %j as metadata", () => {
+        assert.deepEqual(resolveMessage("Payload %j", [{ a: 1 }, { requestId: "r1" }]), { message: "Payload {\"a\":1}", meta: { requestId: "r1" } });
+    });
+
+    it("never reads a trailing object as a string or number argument", () => {
+        assert.deepEqual(
+            resolveMessage("GET /search?q=%d0%b1 done", [{ requestId: "r1" }]),
+            { message: "GET /search?q=%d0%b1 done", meta: { requestId: "r1" } }
+        );
+        assert.deepEqual(resolveMessage("50%s of disk used", [{ host: "db1" }]), { message: "50%s of disk used", meta: { host: "db1" } });
+    });
+
+    it("keeps the message and moves the arguments to metadata when the counts differ", () => {
+        assert.deepEqual(resolveMessage("%s took %dms", ["job"]), { message: "%s took %dms", meta: { args: ["job"] } });
+        assert.deepEqual(resolveMessage("Done %s", ["a", "b", { id: 1 }]), { message: "Done %s", meta: { id: 1, args: ["a", "b"] } });
+    });
+
+    it("takes errors and metadata thunks as trailing metadata", () => {
+        const error = new Error("boom");
+        assert.deepEqual(resolveMessage("Job %s failed", ["j1", error]), { message: "Job j1 failed", meta: error });
+        assert.deepEqual(resolveMessage("Job %s", ["j1", () => ({ attempt: 2 })]), { message: "Job j1", meta: { attempt: 2 } });
+    });
+
+    it("keeps (message, meta) calls without placeholders", () => {
+        assert.deepEqual(resolveMessage("Saved", [{ id: 7 }]), { message: "Saved", meta: { id: 7 } });
+    });
+});
+
+describe("resolveMessage thunks", () => {
+    it("calls message and metadata thunks", () => {
+        assert.deepEqual(resolveMessage(() => "built", [() => ({ size: 1 })]), { message: "built", meta: { size: 1 } });
+    });
+
+    it("turns a throwing thunk into a message with the error", () => {
+        const { message, meta } = resolveMessage(() => {
+            throw new Error("no state");
+        });
+        assert.equal(message, "Failed to build log message: no state");
+        assert.equal(meta.err.cause.message, "no state");
+    });
+
+    it("does not call thunks for disabled levels", () => {
+        const logger = new CollectingLogger({ level: "INFO" });
+        let calls = 0;
+        logger.debug(() => `expensive ${++calls}`);
+        logger.info(() => `expensive ${++calls}`);
+
+        assert.equal(calls, 1);
+        assert.deepEqual(logger.records.map(record => record.message), ["expensive 1"]);
+    });
+
+    it("interpolates objects into %j and %o in loggers", () => {
+        const logger = new CollectingLogger();
+        logger.debug("Payload %j", { items: 2 });
+        logger.info("User %o", { name: "ada" });
+        assert.deepEqual(logger.records.map(record => [record.message, record.meta]), [
+            ["Payload {\"items\":2}", {}],
+            ["User { name: 'ada' }", {}]
+        ]);
+    });
+
+    it("keeps the metadata of (message, meta) calls in loggers", () => {
+        const logger = new CollectingLogger();
+        logger.info("GET /search?q=%d0%b1 done", { requestId: "r1" });
+        assert.equal(logger.records[0].message, "GET /search?q=%d0%b1 done");
+        assert.deepEqual(logger.records[0].meta, { requestId: "r1" });
+    });
+});
@@ -0,0 +1,120 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import Redactor from "../Redactor.js";
+import { CollectingLogger } from "./helpers.js";
+
+const VISA = "4111 1111 1111 1111";
+
+describe("Redactor paths", () => {
+    it("matches the trailing segments of a key path at any depth", () => {
+        const redactor = new Redactor({ paths: ["cvv", "paymentMethod.cardNumber"] });
+        const meta = {
+            cvv: "123",
+            order: { paymentMethod: { cvv: "456", cardNumber: "4111", holder: "Ada" } },
+            cardNumber: "kept: not under paymentMethod"
+        };
+
+        assert.deepEqual(redactor.redactValue(meta, []), {
+            cvv: "[REDACTED]",
+            order: { paymentMethod: { cvv: "[REDACTED]", cardNumber: "[REDACTED]", holder: "Ada" } },
+            cardNumber: "kept: not under paymentMethod"
+        });
+    });
+
+    it("matches one segment with *", () => {
+        const redactor = new Redactor({ paths: ["users.*.token"] });
+        assert.deepEqual(
+            redactor.redactValue({ users: [{ token: "a", id: 1 }, { token: "b", id: 2 }] }, []),
+            { users: [{ token: "[REDACTED]", id: 1 }, { token: "[REDACTED]", id: 2 }] }
+        );
+    });
+
+    it("masks whole objects and arrays found at a path", () => {
+        const redactor = new Redactor({ paths: ["credentials"] });
+        assert.deepEqual(redactor.redactValue({ credentials: { user: "u", password: "p" } }, []), { credentials: "[REDACTED]" });
+    });
+});
+
+describe("Redactor patterns", () => {
+    it("applies built-in and custom patterns to strings", () => {
+        const redactor = new Redactor({ patterns: ["email", "ipv4", /secret-\w+/, { pattern: "TOKEN_[A-Z]+", flags: "i" }] });
+        assert.equal(
+            redactor.redactString("ada@example.com from 10.0.0.1 used secret-abc and token_xyz", "message"),
+            "[REDACTED] from [REDACTED] used [REDACTED] and [REDACTED]"
+        );
+    });
+
+    it("only masks digit runs that pass the Luhn check", () => {
+        const redactor = new Redactor({ luhn: true });
+        assert.equal(redactor.redactString(`card ${VISA}, order 1234 5678 9012 3456`, "message"), "card [REDACTED], order 1234 5678 9012 3456");
+    });
+
+    it("passes the value and its path to a censor function", () => {
+        const seen = [];
+        const redactor = new Redactor({
+            paths: ["password"],
+            patterns: ["email"],
+            censor: (value, keyPath) => {
+                seen.push(keyPath);
+                return `<${keyPath}>`;
+            }
+        });
+
+        assert.deepEqual(redactor.redactValue({ user: { password: "x", email: "ada@example.com" } }, []), {
+            user: { password: "<user.password>", email: "<user.email>" }
+        });
+        assert.deepEqual(seen, ["user.password", "user.email"]);
+    });
+});
+
+describe("Redactor records", () => {
+    it("copies the record without modifying the original", () => {
+        const redactor = new Redactor(true);
+        const record = { level: "INFO", message: `paid with ${VISA}`, meta: { password: "hunter2", nested: { ok: true } } };
+        const redacted = redactor.redactRecord(record);
+
+        assert.equal(redacted.message, "paid with [REDACTED]");
+        assert.deepEqual(redacted.meta, { password: "[REDACTED]", nested: { ok: true } });
+        assert.equal(record.meta.password, "hunter2");
+        assert.equal(record.message, `paid with ${VISA}`);
+    });
+
+    it("stops at circular references", () => {
+        const meta = { name: "loop" };
+        meta.self = meta;
+        assert.deepEqual(new Redactor(true).redactValue(meta, []), { name: "loop", self: "[Circular]" });
+    });
+
+    it("keeps dates", () => {
+        const at = new Date(0);
+        assert.equal(new Redactor(true).redactValue({ at }, []).at, at);
+    });
+});
+
+describe("Redaction in loggers", () => {
+    it("redacts before the record is written, including child bindings", () => {
+        const logger = new CollectingLogger({ redact: true });
+        logger.child({ authorization: "Bearer abc" }).info(`Charged ${VISA}`, { cvv: "123", amount: 10 });
+
+        const [record] = logger.records;
+        assert.equal(record.message, "Charged [REDACTED]");
+        assert.deepEqual(record.meta, { authorization: "[REDACTED]", cvv: "[REDACTED]", amount: 10 });
+    });
+
+    it("redacts object messages like metadata, including thunk results", () => {
+        const logger = new CollectingLogger({ redact: true });
+        logger.info({ cardNumber: VISA, cvv: "123", note: `card ${VISA}`, amount: 10 });
+        logger.info(() => ({ payment: { cvv: "456" } }));
+
+        assert.deepEqual(logger.records.map(record => record.message), [
+            { cardNumber: "[REDACTED]", cvv: "[REDACTED]", note: "card [REDACTED]", amount: 10 },
+            { payment: { cvv: "[REDACTED]" } }
+        ]);
+    });
+
+    it("leaves records alone without redact", () => {
+        const logger = new CollectingLogger();
+        logger.info("password", { password: "hunter2" });
+        assert.equal(logger.records[0].meta.password, "hunter2");
+    });
+});
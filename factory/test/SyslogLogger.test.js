@@ -0,0 +1,104 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import path from "path";
+import SyslogLogger from "../SyslogLogger.js";
+import { createTempDir } from "./helpers.js";
+
+/**
+ * A syslog daemon on a Unix stream socket that splits what it receives into lines
+ */
+class StreamDaemon {
+    constructor() {
+        this.data = "";
+        this.sockets = new Set();
+        this.server = net.createServer(socket => {
+            this.sockets.add(socket);
+            socket.on("data", chunk => this.data += chunk);
+            socket.on("close", () => this.sockets.delete(socket));
+        });
+    }
+
+    async start(socketPath) {
+        this.path = socketPath;
+        await new Promise(resolve => this.server.listen(socketPath, resolve));
+    }
+
+    stop() {
+        this.sockets.forEach(socket => socket.destroy());
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    lines() {
+        return this.data.split("\n").filter(line => line !== "");
+    }
+
+    /**
+     * Wait until the daemon has received a number of lines
+     * @param {number} count - Expected line count
+     * @returns {Promise<void>}
+     */
+    async waitForLines(count) {
+        for (let attempt = 0; attempt < 100 && this.lines().length < count; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+}
+
+/**
+ * Start a daemon in a temporary directory, stopped when the test ends
+ * @param {Object} t - The test context
+ * @returns {Promise<StreamDaemon>} The running daemon
+ */
+async function startDaemon(t) {
+    const daemon = new StreamDaemon();
+    await daemon.start(path.join(createTempDir(t), "syslog.sock"));
+    t.after(() => daemon.stop());
+    return daemon;
+}
+
+/**
+ * Wait until a logger is connected
+ * @param {SyslogLogger} logger - The logger
+ * @returns {Promise<void>}
+ */
+async function waitForConnection(logger) {
+    for (let attempt = 0; attempt < 100 && !logger.connected; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe("SyslogLogger over a Unix stream socket", () => {
+    it("escapes newlines in non-transparent frames", async t => {
+        const daemon = await startDaemon(t);
+        const logger = new SyslogLogger({ protocol: "unix", path: daemon.path, appName: "test" });
+        await waitForConnection(logger);
+        logger.error("Request failed\nat handler (app.js:1)\r\nat main (app.js:2)");
+        await logger.close();
+        await daemon.waitForLines(1);
+
+        const lines = daemon.lines();
+        assert.equal(lines.length, 1);
+        assert.match(lines[0], / - Request failed\\nat handler \(app\.js:1\)\\nat main \(app\.js:2\)$/);
+    });
+
+    it("sends frames again after a write failed", async t => {
+        const daemon = await startDaemon(t);
+        t.mock.method(console, "error", () => {});
+        const logger = new SyslogLogger({ protocol: "unix", path: daemon.path, reconnectDelay: 10 });
+        await waitForConnection(logger);
+
+        // The connection breaks before the write: it fails once the socket is torn down
+        logger.socket.destroy();
+        logger.info("kept");
+        assert.deepEqual(logger.queue, []);
+        await logger.flush();
+        assert.equal(logger.queue.length, 1);
+
+        await daemon.waitForLines(1);
+        await logger.close();
+        assert.equal(daemon.lines().length, 1);
+        assert.match(daemon.lines()[0], / - kept$/);
+        assert.equal(logger.getDroppedCount(), 0);
+    });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import ThrottledLogger from "../ThrottledLogger.js";
+import { CollectingLogger } from "./helpers.js";
+
+describe("ThrottledLogger duplicate collapsing", () => {
+    it("writes a summary when a run of identical records ends", () => {
+        const target = new CollectingLogger();
+        const logger = new ThrottledLogger(target, { dedupeWindow: 1000 });
+        logger.info("retrying");
+        logger.info("retrying");
+        logger.info("retrying");
+        logger.info("connected");
+
+        assert.deepEqual(target.records.map(record => record.message), [
+            "retrying",
+            "Last message repeated 2 times: retrying",
+            "connected"
+        ]);
+        assert.equal(logger.getDroppedCounts().collapsed, 2);
+        logger.endDuplicateRun();
+    });
+
+    it("does not keep the process alive while a run is open", () => {
+        const logger = new ThrottledLogger(new CollectingLogger(), { dedupeWindow: 60000 });
+        logger.info("waiting");
+        assert.equal(logger.duplicate.timer.hasRef(), false);
+        logger.endDuplicateRun();
+    });
+
+    it("reports a target failing when the window expires", async t => {
+        const errors = t.mock.method(console, "error", () => {});
+        const target = new CollectingLogger();
+        const logger = new ThrottledLogger(target, { dedupeWindow: 10 });
+        logger.info("same");
+        logger.info("same");
+        target.writeRecord = () => {
+            throw new Error("target gone");
+        };
+
+        // The collapse timer does not keep the process alive by itself
+        const keepAlive = setInterval(() => {}, 1000);
+        await new Promise(resolve => setTimeout(resolve, 50)).finally(() => clearInterval(keepAlive));
+
+        assert.equal(logger.duplicate, null);
+        assert.ok(errors.mock.calls.some(call => /Failed to write repeat summary: target gone/.test(call.arguments[0])));
+    });
+});
@@ -0,0 +1,66 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Writable } from "stream";
+import BaseLogger from "../BaseLogger.js";
+
+/**
+ * Shared helpers for the factory tests (not a test file itself)
+ */
+
+/**
+ * CollectingLogger - keeps every record it writes, for assertions
+ */
+export class CollectingLogger extends BaseLogger {
+    /**
+     * @param {Object} options - Logger options (see BaseLogger)
+     */
+    constructor(options = {}) {
+        super(options.name || "CollectingLogger", options);
+        this.records = [];
+        this.closed = false;
+    }
+
+    writeRecord(record) {
+        this.records.push(record);
+    }
+
+    /**
+     * Get the lines this logger's formatter produces for the records written so far
+     * @returns {Array<string>} Formatted records
+     */
+    lines() {
+        return this.records.map(record => this.formatRecord(record));
+    }
+
+    close() {
+        this.closed = true;
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Create a Writable that keeps what is written to it
+ * @returns {Writable} The stream; its text is in stream.output
+ */
+export function createCaptureStream() {
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            stream.output += chunk.toString();
+            callback();
+        }
+    });
+    stream.output = "";
+    return stream;
+}
+
+/**
+ * Create a temporary directory that is removed when the test finishes
+ * @param {Object} t - The node:test context
+ * @returns {string} Path of the directory
+ */
+export function createTempDir(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "logger-test-"));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+import path from "path";
+import { parseArgs } from "util";
+import AuditFileLogger from "./AuditFileLogger.js";
+
+/**
+ * verify-audit - check an audit log written by AuditFileLogger
+ *
+ * Checks the sequence numbers, the hash chain and the checkpoint signatures and
+ * reports the first broken link. Exits with 0 if the file is intact, 1 if it was
+ * tampered with, 2 if it could not be checked and 3 if the chain is intact but no
+ * key was given, so the signatures were not checked.
+ * A file cut back to an earlier checkpoint still verifies: compare the reported last
+ * checkpoint with a value recorded elsewhere.
+ *
+ * Usage: node factory/verify-audit.js [options] <file>
+ *        npm run audit:verify -- [options] <file>
+ */
+
+const USAGE = `Usage: verify-audit [options] <file>
+
+Options:
+  -k, --key-file <file>   File holding the checkpoint key
+      --key <key>         The checkpoint key itself
+      --json              Print the result as JSON
+  -h, --help              Show this help`;
+
+/**
+ * Exit codes
+ */
+const ExitCodes = {
+    VALID: 0,
+    BROKEN: 1,
+    ERROR: 2,
+    UNSIGNED: 3
+};
+
+/**
+ * Parse the command line
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} { file, options }
+ */
+function parseCommandLine(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            "key-file": { type: "string", short: "k" },
+            key: { type: "string" },
+            json: { type: "boolean" },
+            help: { type: "boolean", short: "h" }
+        }
+    });
+
+    if (positionals.length > 1) {
+        throw new Error(`Expected one file, got ${positionals.length}`);
+    }
+
+    return {
+        file: positionals[0],
+        options: {
+            help: values.help,
+            json: values.json,
+            key: values.key,
+            keyFile: values["key-file"] ? path.resolve(values["key-file"]) : undefined
+        }
+    };
+}
+
+/**
+ * Print a verification result
+ * @param {string} file - The audit log
+ * @param {Object} result - Result of AuditFileLogger.verify()
+ */
+function printResult(file, result) {
+    if (!result.valid) {
+        const { line, seq, reason } = result.brokenAt;
+        console.log(`${file}: BROKEN at line ${line} (seq ${seq}): ${reason}`);
+        console.log(`Checked ${result.entries} entries before the break`);
+        return;
+    }
+
+    const status = result.signaturesChecked ? "OK" : "UNSIGNED";
+    console.log(`${file}: ${status}, ${result.records} records, ${result.checkpoints} checkpoints`
+        + (result.lastCheckpoint === null ? "" : ` (last at seq ${result.lastCheckpoint})`));
+    if (!result.signaturesChecked) {
+        console.log("No key given: the hash chain is intact but the checkpoint signatures were not checked");
+    }
+    if (result.unsignedRecords > 0) {
+        console.log(`${result.unsignedRecords} records after the last checkpoint are not signed yet`);
+    }
+}
+
+/**
+ * Get the exit code for a verification result
+ * @param {Object} result - Result of AuditFileLogger.verify()
+ * @returns {number} One of ExitCodes
+ */
+function getExitCode(result) {
+    if (!result.valid) {
+        return ExitCodes.BROKEN;
+    }
+    return result.signaturesChecked ? ExitCodes.VALID : ExitCodes.UNSIGNED;
+}
+
+/**
+ * Run the command
+ * @param {Array<string>} args - Command line arguments
+ */
+function main(args) {
+    const { file, options } = parseCommandLine(args);
+    if (options.help || !file) {
+        console.log(USAGE);
+        process.exitCode = options.help ? ExitCodes.VALID : ExitCodes.ERROR;
+        return;
+    }
+
+    const result = AuditFileLogger.verify(file, { key: options.key, keyFile: options.keyFile });
+    if (options.json) {
+        console.log(JSON.stringify({ file, ...result }, null, 2));
+    } else {
+        printResult(file, result);
+    }
+    process.exitCode = getExitCode(result);
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    console.error(`verify-audit: ${error.message}`);
+    process.exitCode = ExitCodes.ERROR;
+}
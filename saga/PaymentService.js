@@ -1,3 +1,5 @@
+import sagaLogger from "./sagaLogger.js";
+
 /**
  * PaymentService - Handles payment processing
  * Simulates interaction with a payment gateway
@@ -53,6 +55,9 @@ class PaymentService {
 
         this.payments.set(paymentId, payment);
 
+        // Logged after an await: sagaId and step still come from the logging context
+        sagaLogger.info("Payment processed", { orderId, paymentId, amount, paymentMethod });
+
         console.log(`    ✓ Payment processed successfully: ${paymentId}`);
         return payment;
     }
@@ -1,5 +1,7 @@
 import SagaContext from "./SagaContext.js";
 import SagaStep from "./SagaStep.js";
+import LoggerFactory from "../factory/LoggerFactory.js";
+import sagaLogger from "./sagaLogger.js";
 
 /**
  * Saga - Base class for implementing the Saga pattern
@@ -26,12 +28,26 @@ class Saga {
 
     /**
      * Execute the saga
+     * Steps run inside a logging context carrying the saga ID and name
      * @param {Object} initialData - Initial data for the saga context
      * @returns {Promise<SagaContext>} The saga context
      */
     async execute(initialData = {}) {
         const context = new SagaContext(initialData);
+        return LoggerFactory.runWithContext(
+            { sagaId: context.sagaId, saga: this.name },
+            () => this.run(context)
+        );
+    }
+
+    /**
+     * Run the steps of the saga, compensating on failure
+     * @param {SagaContext} context - The saga context
+     * @returns {Promise<SagaContext>} The saga context
+     */
+    async run(context) {
         context.markStarted();
+        sagaLogger.info("Saga started", { data: context.getAll() });
 
         console.log(`\n🚀 Starting Saga: ${this.name} (ID: ${context.sagaId})`);
         console.log("=".repeat(70));
@@ -44,6 +60,7 @@ class Saga {
 
             // All steps completed successfully
             context.markCompleted();
+            sagaLogger.info("Saga completed", { durationMs: context.getDuration() });
             console.log(`\n✅ Saga completed successfully: ${this.name}`);
             console.log(`   Duration: ${context.getDuration()}ms`);
             console.log("=".repeat(70));
@@ -56,6 +73,7 @@ class Saga {
             console.log("=".repeat(70));
 
             context.markFailed(error);
+            sagaLogger.error("Saga failed", { err: error });
             await this.compensate(context);
 
             return context;
@@ -81,12 +99,14 @@ class Saga {
             try {
                 await step.compensate(context);
             } catch (error) {
+                sagaLogger.error("Compensation error", { step: step.name, err: error });
                 console.error(`⚠️  Compensation error for ${step.name}: ${error.message}`);
                 // Continue with other compensations even if one fails
             }
         }
 
         context.markCompensated();
+        sagaLogger.warn("Saga compensated", { durationMs: context.getDuration() });
         console.log(`\n✅ Compensation completed for: ${this.name}`);
         console.log(`   Duration: ${context.getDuration()}ms`);
         console.log("=".repeat(70));
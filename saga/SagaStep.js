@@ -1,3 +1,6 @@
+import LoggerFactory from "../factory/LoggerFactory.js";
+import sagaLogger from "./sagaLogger.js";
+
 /**
  * SagaStep - Represents a single step in a saga with its compensation logic
  * Each step has a forward action and a compensating action
@@ -15,27 +18,34 @@ class SagaStep {
 
     /**
      * Execute the step action
+     * The action runs inside a logging context carrying the step name
      * @param {SagaContext} context - The saga context
      * @returns {Promise<*>} The result of the action
      */
     async execute(context) {
-        try {
-            console.log(`  ▶ Executing step: ${this.name}`);
-            
-            // Execute the action
-            this.result = await this.action(context);
-            this.executed = true;
-            
-            // Mark step as executed in context
-            context.markStepExecuted(this.name, this.result);
-            
-            console.log(`  ✓ Step completed: ${this.name}`);
-            return this.result;
-        } catch (error) {
-            this.error = error;
-            console.error(`  ✗ Step failed: ${this.name} - ${error.message}`);
-            throw error;
-        }
+        return LoggerFactory.runWithContext({ step: this.name }, async () => {
+            const startTime = Date.now();
+            try {
+                console.log(`  ▶ Executing step: ${this.name}`);
+                sagaLogger.debug("Step started");
+
+                // Execute the action
+                this.result = await this.action(context);
+                this.executed = true;
+
+                // Mark step as executed in context
+                context.markStepExecuted(this.name, this.result);
+
+                console.log(`  ✓ Step completed: ${this.name}`);
+                sagaLogger.info("Step completed", { durationMs: Date.now() - startTime });
+                return this.result;
+            } catch (error) {
+                this.error = error;
+                console.error(`  ✗ Step failed: ${this.name} - ${error.message}`);
+                sagaLogger.error("Step failed", { durationMs: Date.now() - startTime, err: error });
+                throw error;
+            }
+        });
     }
 
     /**
@@ -54,19 +64,23 @@ class SagaStep {
             return;
         }
 
-        try {
-            console.log(`  ◀ Compensating step: ${this.name}`);
-            
-            // Execute the compensation
-            const result = await this.compensation(context);
-            this.compensated = true;
-            
-            console.log(`  ✓ Compensation completed: ${this.name}`);
-            return result;
-        } catch (error) {
-            console.error(`  ✗ Compensation failed: ${this.name} - ${error.message}`);
-            throw error;
-        }
+        return LoggerFactory.runWithContext({ step: this.name }, async () => {
+            try {
+                console.log(`  ◀ Compensating step: ${this.name}`);
+
+                // Execute the compensation
+                const result = await this.compensation(context);
+                this.compensated = true;
+
+                console.log(`  ✓ Compensation completed: ${this.name}`);
+                sagaLogger.info("Step compensated");
+                return result;
+            } catch (error) {
+                console.error(`  ✗ Compensation failed: ${this.name} - ${error.message}`);
+                sagaLogger.error("Step compensation failed", { err: error });
+                throw error;
+            }
+        });
     }
 
     /**
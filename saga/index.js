@@ -165,6 +165,7 @@ async function runAllExamples() {
         console.log(`${item.name}: ${item.stock} units`);
     });
     console.log("=".repeat(70));
+    console.log("\n📄 Structured saga log (with sagaId and step on every record): saga/saga.log");
 }
 
 runAllExamples().catch(console.error);
@@ -0,0 +1,23 @@
+import LoggerFactory from "../factory/LoggerFactory.js";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Saga logger - structured JSON log of saga executions (saga.log)
+ *
+ * Saga.execute() and SagaStep run inside LoggerFactory.runWithContext(), so every
+ * record logged during a saga - including from services after an await - carries
+ * the sagaId, saga name and current step without passing them around.
+ * Card numbers and CVVs in the saga data are redacted.
+ */
+const sagaLogger = LoggerFactory.createLogger("file", {
+    filename: path.join(__dirname, "saga.log"),
+    format: "json",
+    redact: true
+});
+
+export default sagaLogger;
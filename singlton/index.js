@@ -26,6 +26,8 @@ logger.log("Application is running smoothly");
 logger.warn("This is a warning message");
 logger.debug("Debug information: variable x = 42");
 logger.error("This is an error message");
+logger.audit("User admin changed the log level");
+logger.trace("Trace details are below the DEBUG level and not written");
 
 console.log();
 console.log("Example 4: Logger Statistics");
@@ -36,6 +38,7 @@ console.log(`  Total Logs: ${stats.totalLogs}`);
 console.log(`  Errors: ${stats.errors}`);
 console.log(`  Warnings: ${stats.warnings}`);
 console.log(`  Debug Messages: ${stats.debugs}`);
+console.log(`  By Level: ${JSON.stringify(stats.byLevel)}`);
 console.log(`  Log File: ${stats.logFile}`);
 
 console.log();
@@ -2,6 +2,11 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
+import { LogLevels, normalizeLevel, isLevelAtLeast, onLevelDefined } from "../factory/LogLevels.js";
+import metrics from "../factory/LogMetrics.js";
+import { resolveMessage } from "../factory/MessageFormat.js";
+import AuditFileLogger from "../factory/AuditFileLogger.js";
+import shutdownManager from "../factory/LoggerShutdown.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -14,13 +19,25 @@ const __dirname = dirname(__filename);
  * Node.js caches module exports, ensuring only one instance exists.
  */
 class Logger {
+    /**
+     * Console method used for each level (others use console.log)
+     */
+    static LevelMethods = {
+        WARN: "warn",
+        ERROR: "error",
+        FATAL: "error"
+    };
+
+    /**
+     * Logger label used in the shared metrics registry (factory/LogMetrics.js)
+     */
+    static METRICS_NAME = "singleton";
+
     constructor() {
         this.logFile = path.join(__dirname, "app.log");
-        this.logLevel = "INFO"; // INFO, WARN, ERROR, DEBUG
-        this.logCount = 0;
-        this.errorCount = 0;
-        this.warnCount = 0;
-        this.debugCount = 0;
+        this.logLevel = LogLevels.INFO; // Minimum level written (levels and severities come from factory/LogLevels.js)
+        this.levelCounts = {}; // Map of level -> number of messages written
+        this.auditLogger = null; // Tamper-evident copy of AUDIT messages (see enableAuditLog())
 
         // Initialize log file with header
         this.initializeLogFile();
@@ -53,76 +70,120 @@ class Logger {
     writeToFile(message) {
         try {
             fs.appendFileSync(this.logFile, message + "\n");
+            metrics.recordBytesWritten(this.logFile, Buffer.byteLength(message) + 1);
         } catch (error) {
             console.error("Failed to write to log file:", error.message);
+            metrics.recordWriteFailure(Logger.METRICS_NAME);
         }
     }
 
     /**
-     * Log an info message
-     * @param {string} message - Message to log
+     * Log an info message (alias of info())
+     * @param {string|Function} message - Message to log, a printf-style template or a thunk
+     * @param {...*} args - Template arguments
      */
-    log(message) {
-        const formatted = this.formatMessage("INFO", message);
-        console.log(formatted);
-        this.writeToFile(formatted);
-        this.logCount++;
+    log(message, ...args) {
+        this.logAt(LogLevels.INFO, message, ...args);
     }
 
     /**
-     * Log an error message
-     * @param {string} message - Error message to log
+     * Log a message at the given level, if it meets the log level
+     * Thunks (() => message) and templates ("%s took %dms", name, ms) are only
+     * evaluated when the message is written (see factory/MessageFormat.js)
+     * @param {string} level - Log level
+     * @param {string|Function} message - Message to log, a printf-style template or a thunk
+     * @param {...*} args - Template arguments
      */
-    error(message) {
-        const formatted = this.formatMessage("ERROR", message);
-        console.error(formatted);
+    logAt(level, message, ...args) {
+        const normalized = normalizeLevel(level);
+        const auditing = this.auditLogger !== null && normalized === LogLevels.AUDIT;
+        if (!auditing && !isLevelAtLeast(normalized, this.logLevel)) {
+            return;
+        }
+
+        const resolved = resolveMessage(message, args);
+        if (auditing) {
+            // Audited regardless of the log level; passed as a thunk so it is not formatted twice
+            this.auditLogger.logAt(LogLevels.AUDIT, () => resolved.message, resolved.meta);
+            if (!isLevelAtLeast(normalized, this.logLevel)) {
+                return;
+            }
+        }
+
+        const formatted = this.formatMessage(normalized, resolved.message);
+        console[Logger.LevelMethods[normalized] || "log"](formatted);
         this.writeToFile(formatted);
-        this.errorCount++;
+        this.levelCounts[normalized] = (this.levelCounts[normalized] || 0) + 1;
+        metrics.recordWritten(Logger.METRICS_NAME, normalized);
+        if (isLevelAtLeast(normalized, LogLevels.ERROR)) {
+            metrics.recordError();
+        }
     }
 
     /**
-     * Log a warning message
-     * @param {string} message - Warning message to log
+     * Also write AUDIT messages, with their metadata, to a hash-chained audit log
+     * (see factory/AuditFileLogger.js). The audit log is signed and closed on exit.
+     * @param {Object} options - AuditFileLogger options; key or keyFile is required (filename defaults to audit.log next to app.log)
+     * @returns {AuditFileLogger} The audit logger, e.g. to verify() the file
      */
-    warn(message) {
-        const formatted = this.formatMessage("WARN", message);
-        console.warn(formatted);
-        this.writeToFile(formatted);
-        this.warnCount++;
+    enableAuditLog(options = {}) {
+        if (this.auditLogger) {
+            throw new Error(`Audit log already enabled: ${this.auditLogger.logFile}`);
+        }
+
+        this.auditLogger = new AuditFileLogger(options.filename || path.join(__dirname, "audit.log"), options);
+        shutdownManager.track(this.auditLogger);
+        shutdownManager.installHooks();
+        return this.auditLogger;
     }
 
     /**
-     * Log a debug message
-     * @param {string} message - Debug message to log
+     * Sign and close the audit log and stop writing to it
+     * @returns {Promise<void>}
      */
-    debug(message) {
-        if (this.logLevel === "DEBUG") {
-            const formatted = this.formatMessage("DEBUG", message);
-            console.log(formatted);
-            this.writeToFile(formatted);
-            this.debugCount++;
+    async disableAuditLog() {
+        if (!this.auditLogger) {
+            return;
         }
+
+        const auditLogger = this.auditLogger;
+        this.auditLogger = null;
+        shutdownManager.untrack(auditLogger);
+        await auditLogger.close();
+    }
+
+    /**
+     * Log a security event (login, permission change, ...) at AUDIT
+     * @param {string} event - Event name, e.g. "login.failed"
+     * @param {Object} details - Event details, written as metadata to the audit log
+     */
+    securityEvent(event, details = {}) {
+        this.logAt(LogLevels.AUDIT, "Security event: %s", event, { event, ...details });
     }
 
     /**
      * Set the log level
-     * @param {string} level - Log level (INFO, WARN, ERROR, DEBUG)
+     * Messages below this level are not written
+     * @param {string} level - Log level (TRACE, DEBUG, INFO, WARN, AUDIT, ERROR, FATAL or a custom level)
      */
     setLogLevel(level) {
-        this.logLevel = level.toUpperCase();
+        this.logLevel = normalizeLevel(level);
         this.log(`Log level set to ${this.logLevel}`);
     }
 
     /**
      * Get logging statistics
+     * totalLogs, errors, warnings and debugs count INFO, ERROR, WARN and DEBUG messages;
+     * byLevel has the count of every level written, custom levels included
      * @returns {Object} Statistics object
      */
     getStatistics() {
         return {
-            totalLogs: this.logCount,
-            errors: this.errorCount,
-            warnings: this.warnCount,
-            debugs: this.debugCount,
+            totalLogs: this.levelCounts[LogLevels.INFO] || 0,
+            errors: this.levelCounts[LogLevels.ERROR] || 0,
+            warnings: this.levelCounts[LogLevels.WARN] || 0,
+            debugs: this.levelCounts[LogLevels.DEBUG] || 0,
+            byLevel: { ...this.levelCounts },
             logFile: this.logFile
         };
     }
@@ -158,6 +219,24 @@ class Logger {
     }
 }
 
+/**
+ * Generate a method for each level: logger.trace(), logger.info(), logger.audit(), logger.fatal(), ...
+ * Levels defined later with defineLevel() get their method too
+ */
+onLevelDefined(level => {
+    const method = level.toLowerCase();
+    const existing = Logger.prototype[method];
+    if (existing && !existing.isLevelMethod) {
+        throw new Error(`Log level ${level} clashes with the logger method ${method}()`);
+    }
+
+    const logAtLevel = function (message, ...args) {
+        this.logAt(level, message, ...args);
+    };
+    logAtLevel.isLevelMethod = true;
+    Logger.prototype[method] = logAtLevel;
+});
+
 // Export a single instance (Singleton pattern using ES6 modules)
 // Node.js caches module exports, so every import gets the same instance
 export default new Logger();